@@ -0,0 +1,121 @@
+// apng-model.js — decode an APNG (or static PNG) once into a shared frame model
+import { promises as fs } from 'node:fs';
+import UPNG from 'upng-js';
+import { isPngSig } from './helpers.js';
+
+const { decode, toRGBA8 } = UPNG;
+
+/**
+ * @typedef {Object} ApngFrame
+ * @property {Uint8Array} rgba     full-canvas RGBA8 (already composited: dispose/blend applied)
+ * @property {number} delay        ms as stored in the file (may be 0)
+ * @property {number} dispose      APNG dispose_op of the source frame (0 none, 1 background, 2 previous)
+ * @property {number} blend        APNG blend_op of the source frame (0 source, 1 over)
+ * @property {{x:number, y:number, width:number, height:number}} rect  region the source frame updated
+ */
+
+/**
+ * @typedef {Object} ApngModel
+ * @property {number} width
+ * @property {number} height
+ * @property {number} numPlays     APNG num_plays (0 = loop forever; 0 for static PNGs too)
+ * @property {boolean} animated
+ * @property {ApngFrame[]} frames  at least one frame (static PNG -> single frame)
+ */
+
+/**
+ * Decode APNG/PNG bytes into an ApngModel.
+ * @param {Buffer|ArrayBuffer|Uint8Array} input
+ * @returns {ApngModel}
+ */
+export function decodeApng(input) {
+  const buf = Buffer.isBuffer(input) ? input : Buffer.from(input instanceof ArrayBuffer ? new Uint8Array(input) : input);
+  if (!isPngSig(buf)) throw new Error('not-a-png-signature');
+  const ab = buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength);
+
+  let img;
+  try {
+    img = decode(ab);
+  } catch (e) {
+    throw new Error(`decode-failed: ${e?.message || e}`);
+  }
+  const { width, height } = img;
+  if (!width || !height) throw new Error('invalid-meta');
+
+  let rgbaFrames;
+  try {
+    rgbaFrames = toRGBA8(img);
+  } catch (e) {
+    throw new Error(`toRGBA8-failed: ${e?.message || e}`);
+  }
+
+  const src = Array.isArray(img.frames) ? img.frames : [];
+  const expected = Math.max(1, src.length);
+  if (!Array.isArray(rgbaFrames) || rgbaFrames.length !== expected) {
+    throw new Error(`rgba-mismatch: frames=${src.length} rgba=${rgbaFrames?.length ?? 'N/A'}`);
+  }
+
+  const fullRect = { x: 0, y: 0, width, height };
+  const frames = rgbaFrames.map((ab8, i) => {
+    const rgba = new Uint8Array(ab8);
+    if (rgba.length !== width * height * 4) throw new Error(`bad-rgba-size(${rgba.length}) at frame ${i}`);
+    const f = src[i] || {};
+    return {
+      rgba,
+      delay: f.delay || 0,
+      dispose: f.dispose || 0,
+      blend: f.blend || 0,
+      rect: f.rect || fullRect,
+    };
+  });
+
+  return {
+    width,
+    height,
+    numPlays: img.tabs?.acTL?.num_plays ?? 0,
+    animated: src.length > 1,
+    frames,
+  };
+}
+
+// ---- in-process cache: one decode per file while the import runs (WebP, GIF, sprite share it)
+
+const MAX_CACHE_BYTES = 256 * 1024 * 1024;
+const modelCache = new Map(); // absFile -> { key, model, bytes }
+let cachedBytes = 0;
+
+const modelBytes = (m) => m.frames.reduce((n, f) => n + f.rgba.byteLength, 0);
+
+/**
+ * Read + decode a local APNG, reusing the previous decode while the file is unchanged.
+ * @param {string} absFile
+ * @returns {Promise<ApngModel>}
+ */
+export async function readApng(absFile) {
+  const st = await fs.stat(absFile);
+  const key = `${st.size}:${st.mtimeMs}`;
+  const hit = modelCache.get(absFile);
+  if (hit?.key === key) {
+    modelCache.delete(absFile); // LRU: move to the end
+    modelCache.set(absFile, hit);
+    return hit.model;
+  }
+
+  const model = decodeApng(await fs.readFile(absFile));
+  if (hit) cachedBytes -= hit.bytes;
+  const bytes = modelBytes(model);
+  modelCache.set(absFile, { key, model, bytes });
+  cachedBytes += bytes;
+
+  for (const [k, v] of modelCache) {
+    if (cachedBytes <= MAX_CACHE_BYTES || k === absFile) break;
+    modelCache.delete(k);
+    cachedBytes -= v.bytes;
+  }
+  return model;
+}
+
+/** Per-frame delays in ms with a floor (0 ms frames would play instantly) */
+export function frameDelays(model, minMs = 10) {
+  return model.frames.map(f => Math.max(minMs, f.delay));
+}
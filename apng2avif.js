@@ -0,0 +1,98 @@
+// apng2avif.js — AVIF siblings: still images through sharp, animations through ffmpeg (libaom-av1)
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import sharp from 'sharp';
+import { readApng } from './apng-model.js';
+
+const execFileP = promisify(execFile);
+
+export const DEFAULT_AVIF_QUALITY = 50;
+
+/**
+ * @typedef {Object} AvifOptions
+ * @property {number} [quality=50]  1..100, like sharp; ffmpeg gets the matching CRF
+ * @property {number} [effort=4]    0..9 (sharp effort / libaom cpu-used = 9 - effort)
+ * @property {number} [loop]        animations: 0 = infinite; default: the APNG's num_plays
+ */
+
+/**
+ * @typedef {Object} AvifResult
+ * @property {string} out
+ * @property {boolean} animated
+ * @property {number} size  bytes
+ * @property {{encoder:'sharp'|'ffmpeg', quality:number, effort:number, crf?:number, loop?:number}} encoding
+ */
+
+/** Cache fingerprint for AVIFs made with these options */
+export function avifFingerprint({ quality = DEFAULT_AVIF_QUALITY, effort = 4 } = {}) {
+  return `q${quality};e${effort}`;
+}
+
+// sharp quality 1..100 -> libaom CRF 63..0
+const toCrf = (quality) => Math.round(63 - (quality * 63) / 100);
+
+/**
+ * Animated APNG -> animated AVIF (colour + alpha as two AV1 tracks). sharp/libvips only writes
+ * single-image AVIF, so animations need ffmpeg (6.0+, built with libaom).
+ * Resolves false when ffmpeg is not installed.
+ */
+async function ffmpegAvif(apngPath, outPath, { crf, effort, loop }) {
+  const args = [
+    '-hide_banner', '-loglevel', 'error',
+    '-f', 'apng', '-i', apngPath,
+    '-filter_complex', '[0:v]format=yuva420p,split[main][a];[a]alphaextract[alpha]',
+    '-map', '[main]', '-map', '[alpha]',
+    '-c:v', 'libaom-av1', '-crf', String(crf), '-b:v', '0', '-cpu-used', String(9 - effort),
+    '-loop', String(loop),
+    '-y', outPath,
+  ];
+  try {
+    await execFileP('ffmpeg', args, { windowsHide: true });
+  } catch (e) {
+    if (e?.code === 'ENOENT') return false; // ffmpeg not installed
+    const err = e?.stderr?.toString?.() || e?.message || '';
+    throw new Error(`ffmpeg AVIF encode failed for ${apngPath}: ${err}`);
+  }
+  return true;
+}
+
+/**
+ * APNG or static PNG -> AVIF file. Animated APNGs keep their frames, delays and loop count;
+ * static PNGs (and single-frame APNGs) become a still AVIF.
+ * Resolves null for an animation when ffmpeg is not installed (nothing is written).
+ * @param {string} pngPath
+ * @param {string} outPath
+ * @param {AvifOptions} [opts]
+ * @returns {Promise<AvifResult|null>}
+ */
+export async function apngToAvif(pngPath, outPath, { quality = DEFAULT_AVIF_QUALITY, effort = 4, loop } = {}) {
+  if (!(quality >= 1 && quality <= 100)) throw new Error(`AVIF quality must be 1..100, got ${quality}`);
+  const model = await readApng(pngPath);
+  await fs.mkdir(path.dirname(outPath), { recursive: true });
+
+  let encoding;
+  if (model.animated) {
+    const crf = toCrf(quality);
+    const playLoop = loop ?? (model.numPlays || 0);
+    if (!(await ffmpegAvif(pngPath, outPath, { crf, effort, loop: playLoop }))) return null;
+    encoding = { encoder: 'ffmpeg', quality, effort, crf, loop: playLoop };
+  } else {
+    await sharp(pngPath).avif({ quality, effort }).toFile(outPath);
+    encoding = { encoder: 'sharp', quality, effort };
+  }
+
+  const { size } = await fs.stat(outPath);
+  return { out: outPath, animated: model.animated, size, encoding };
+}
+
+/**
+ * Convenience: *_animation.png -> *_animation.avif (or <id>.png -> <id>.avif) next to it
+ * @returns {Promise<AvifResult|null>}
+ */
+export async function apngToAvifSibling(pngFileAbs, opts) {
+  const dir = path.dirname(pngFileAbs);
+  const base = path.basename(pngFileAbs, path.extname(pngFileAbs));
+  return apngToAvif(pngFileAbs, path.join(dir, `${base}.avif`), opts);
+}
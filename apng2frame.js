@@ -1,5 +1,7 @@
 import fs from 'node:fs';
 import pkg from 'upng-js';
+import { scheduledFetch } from './helpers.js';
+import { assertSticker, STICKER_SCHEMA_VERSION } from './sticker-schema.js';
 
 const { decode, toRGBA8, encode } = pkg;
 
@@ -24,7 +26,7 @@ export async function generateStickerFromAPNGUrl(
   packName = 'My Sticker Pack'
 ) {
   // Fetch APNG từ URL
-  const res = await fetch(apngUrl, {
+  const res = await scheduledFetch(apngUrl, {
     headers: {
       'user-agent': 'Mozilla/5.0', // tránh bị chặn
     },
@@ -61,25 +63,34 @@ export async function generateStickerFromAPNGUrl(
     }
   }
 
-  // Xuất spritesheet PNG
-  const pngAB = encode([sheet.buffer], W, H, 0);
-  fs.writeFileSync(spriteOut, Buffer.from(pngAB));
-
   // frame_rate trung bình
   const totalDelay = apng.frames.reduce((sum, f) => sum + (f.delay || 0), 0);
   const avgDelay = Math.round(totalDelay / n) || 100;
 
-  // Object sticker
+  // Object sticker (sticker.schema.json)
   const sticker = {
+    schema_version: STICKER_SCHEMA_VERSION,
     frame_count: n,
     frame_rate: avgDelay,
+    layout: 'grid',
+    columns: cols,
+    rows,
+    frame_width: fw,
+    frame_height: fh,
+    padding,
+    // tên cũ của v1 (đặt ngược nghĩa), giữ cho client cũ
     frames_per_column: cols,
     frames_per_row: rows,
     label,
     pack: { name: packName },
-    sprite_image: { uri: spriteOut },
+    sprite_image: { uri: spriteOut, width: W, height: H },
     image: { uri: thumbOut, width: fw, height: fh },
   };
+  assertSticker(sticker);
+
+  // Xuất spritesheet PNG
+  const pngAB = encode([sheet.buffer], W, H, 0);
+  fs.writeFileSync(spriteOut, Buffer.from(pngAB));
 
   fs.writeFileSync('sticker.json', JSON.stringify(sticker, null, 2), 'utf-8');
 
@@ -2,9 +2,16 @@
 import path from 'path';
 import { promises as fs } from 'node:fs';
 import pkg from 'upng-js';
-import { localPathForUrl_V2, urlParts } from './helpers.js';
+import { localPathForUrl_V2, popupBaseName, scheduledFetch, urlParts } from './helpers.js';
+import { AUDIO_MIME } from './audio.js';
+import { sha256 } from './sync-cache.js';
+import { decodeApng, readApng } from './apng-model.js';
+import { buildAtlas, texturePackerJson } from './atlas.js';
+import { videoJson } from './apng2video.js';
+import { animationSrcsetJson, srcsetJson } from './responsive.js';
+import { assertSticker, STICKER_SCHEMA_VERSION } from './sticker-schema.js';
 
-const { decode, toRGBA8, encode } = pkg;
+const { encode } = pkg;
 const sanitize = (s) => String(s || '').replace(/[^a-zA-Z0-9._-]/g, '_');
 
 const FETCH_HEADERS = {
@@ -13,11 +20,39 @@ const FETCH_HEADERS = {
   'referer': 'https://store.line.me/',
 };
 
+/** sticker.json `pack` block: name plus whatever metadata the store page gave us */
+function packJson(name, meta) {
+  const pack = { name };
+  if (meta?.author) pack.author = meta.author;
+  if (meta?.productType) pack.product_type = meta.productType;
+  if (meta?.description) pack.description = meta.description;
+  return pack;
+}
+
+const toAbsUrl = (basePublicUrl, relPath) => (basePublicUrl + relPath).replace(/([^:]\/)\/+/g, '$1');
+
+/**
+ * sticker.json `sound` block: transcoded Ogg/Opus first (if present on disk), then the original.
+ * @param {{basePublicDir:string, basePublicUrl:string, soundRelPath:string}} args  soundRelPath: original track, relative to basePublicDir
+ */
+export async function soundJson({ basePublicDir, basePublicUrl, soundRelPath }) {
+  const oggRel = soundRelPath.replace(/\.[^./]+$/, '.ogg');
+  const sources = [];
+
+  const hasOgg = await fs.access(path.join(basePublicDir, oggRel)).then(() => true, () => false);
+  if (hasOgg) sources.push({ uri: toAbsUrl(basePublicUrl, oggRel), type: AUDIO_MIME['.ogg'] });
+  sources.push({ uri: toAbsUrl(basePublicUrl, soundRelPath), type: AUDIO_MIME[path.extname(soundRelPath).toLowerCase()] || 'audio/mp4' });
+
+  return { sources };
+}
+
 /**
  * Generate spritesheet + sticker.json into outDir
  */
 export async function generateStickerFromAPNGUrlToFolder({
   apngUrl,
+  apngPath,                 // optional local copy of apngUrl (decoded instead of re-fetching)
+  model,                    // optional already-decoded ApngModel (apng-model.js)
   outDir,
   spriteName = 'spritesheet.png',
   jsonName = 'sticker.json',
@@ -25,11 +60,19 @@ export async function generateStickerFromAPNGUrlToFolder({
   padding = 0,
   label = 'Custom APNG animation',
   packName = 'My Sticker Pack',
+  packMeta,                 // optional scraped metadata (getPackInfo().pack)
+  sound,                    // optional { sources: [{uri, type}] } for sound stickers
+  video,                    // optional { sources: [{uri, type, alpha?}] } WebM/MP4 versions (apng2video.js)
+  srcset,                   // optional [{uri, width, height}] downscaled copies of the thumb (responsive.js)
+  animationSrcset,          // optional {apng, webp, gif, avif: [{uri, width, height}]} downscaled copies of the animation
+  overlay,                  // optional 'popup' | 'effect' for overlay animations
+  frameData = true,         // per-frame {x,y,w,h,duration} + loop_count + total_duration
+  spriteLayout = 'grid',    // 'grid' (cols × rows) | 'atlas' (trimmed, packed, deduped + spritesheet.json)
   basePublicUrl,
   spriteRelPath,
   thumbRelPath,
 }) {
-  if (!apngUrl) throw new Error('apngUrl is required');
+  if (!apngUrl && !apngPath && !model) throw new Error('apngUrl, apngPath or model is required');
   if (!outDir) throw new Error('outDir is required');
   if (!basePublicUrl) throw new Error('basePublicUrl is required');
   if (!spriteRelPath) throw new Error('spriteRelPath is required');
@@ -37,31 +80,33 @@ export async function generateStickerFromAPNGUrlToFolder({
 
   await fs.mkdir(outDir, { recursive: true });
 
-  // 1) Fetch APNG with stricter headers
-  const res = await fetch(apngUrl, { headers: FETCH_HEADERS, cache: 'no-store' });
-  if (!res.ok) throw new Error(`Fetch APNG failed ${res.status} for ${apngUrl}`);
-  const ab = await res.arrayBuffer();
-  const apngBuf = Buffer.from(ab);
-
-  // 2) Decode (fail loudly if not PNG/APNG)
-  let apng;
-  try {
-    apng = decode(apngBuf);
-  } catch (e) {
-    throw new Error(`UPNG.decode failed for ${apngUrl}: ${e?.message || e}`);
+  // 1) One decode shared with the WebP/GIF encoders: local file first, network only as fallback
+  if (!model) {
+    const hasLocal = apngPath && (await fs.access(apngPath).then(() => true, () => false));
+    if (hasLocal) {
+      model = await readApng(apngPath);
+    } else {
+      const res = await scheduledFetch(apngUrl, { headers: FETCH_HEADERS, cache: 'no-store' });
+      if (!res.ok) throw new Error(`Fetch APNG failed ${res.status} for ${apngUrl}`);
+      try {
+        model = decodeApng(await res.arrayBuffer());
+      } catch (e) {
+        throw new Error(`APNG decode failed for ${apngUrl}: ${e?.message || e}`);
+      }
+    }
   }
-  const rgbaFrames = toRGBA8(apng);
-  const fw = apng.width, fh = apng.height, n = apng.frames.length;
-  if (!n || !fw || !fh) throw new Error(`Decoded APNG has no frames/size: ${apngUrl}`);
+  const fw = model.width, fh = model.height, n = model.frames.length;
+  if (!n || !fw || !fh) throw new Error(`Decoded APNG has no frames/size: ${apngUrl || apngPath}`);
 
-  // 3) Compose spritesheet
+  // 3) Compose spritesheet: fixed `cols` grid, or trimmed + packed + deduplicated atlas
+  const atlas = spriteLayout === 'atlas' ? buildAtlas(model, { padding }) : null;
   const rows = Math.ceil(n / cols);
-  const W = cols * fw + (cols - 1) * padding;
-  const H = rows * fh + (rows - 1) * padding;
-  const sheet = new Uint8Array(W * H * 4);
+  const W = atlas ? atlas.width : cols * fw + (cols - 1) * padding;
+  const H = atlas ? atlas.height : rows * fh + (rows - 1) * padding;
+  const sheet = atlas ? atlas.rgba : new Uint8Array(W * H * 4);
 
-  for (let k = 0; k < n; k++) {
-    const fr = new Uint8Array(rgbaFrames[k]);
+  for (let k = 0; !atlas && k < n; k++) {
+    const fr = model.frames[k].rgba;
     const r = Math.floor(k / cols);
     const c = k % cols;
     const x = c * (fw + padding);
@@ -73,33 +118,91 @@ export async function generateStickerFromAPNGUrlToFolder({
     }
   }
 
-  // 4) Write files
+  // 4) sticker.json (sticker.schema.json)
   const spritePath = path.join(outDir, spriteName);
   const jsonPath = path.join(outDir, jsonName);
+  const atlasJsonName = spriteName.replace(/\.png$/i, '') + '.json'; // spritesheet.json (TexturePacker hash)
 
-  const spriteAB = encode([sheet.buffer], W, H, 0);
-  await fs.writeFile(spritePath, Buffer.from(spriteAB));
-
-  const totalDelay = apng.frames.reduce((s, f) => s + (f.delay || 0), 0);
+  // frame_rate giữ nguyên (delay trung bình) cho client cũ; frames[] mang delay thật của từng frame
+  const totalDelay = model.frames.reduce((s, f) => s + (f.delay || 0), 0);
   const avgDelay = Math.round(totalDelay / Math.max(n, 1)) || 100;
 
   const spriteAbsUrl = (basePublicUrl + spriteRelPath).replace(/([^:]\/)\/+/g, '$1');
   const thumbAbsUrl  = (basePublicUrl + thumbRelPath).replace(/([^:]\/)\/+/g, '$1');
 
-  const sticker = {
-    frame_count: n,
-    frame_rate: avgDelay,
-    frames_per_column: cols,
-    frames_per_row: rows,
-    label,
-    pack: { name: packName },
-    sprite_image: { uri: spriteAbsUrl },
-    image: { uri: thumbAbsUrl, width: fw, height: fh },
-  };
+  const sticker = atlas
+    ? {
+      schema_version: STICKER_SCHEMA_VERSION,
+      frame_count: n,
+      frame_rate: avgDelay,
+      layout: 'atlas',
+      frame_width: fw,
+      frame_height: fh,
+      padding,
+      unique_frame_count: atlas.unique,
+      label,
+      pack: packJson(packName, packMeta),
+      sprite_image: { uri: spriteAbsUrl, width: W, height: H },
+      texture_atlas: { uri: toAbsUrl(basePublicUrl, path.posix.join(path.posix.dirname(spriteRelPath), atlasJsonName)) },
+      image: { uri: thumbAbsUrl, width: fw, height: fh, ...(srcset ? { srcset } : {}) },
+    }
+    : {
+      schema_version: STICKER_SCHEMA_VERSION,
+      frame_count: n,
+      frame_rate: avgDelay,
+      layout: 'grid',
+      columns: cols,
+      rows,
+      frame_width: fw,
+      frame_height: fh,
+      padding,
+      // tên cũ của v1 (đặt ngược nghĩa: frames_per_column = số cột), giữ cho client cũ
+      frames_per_column: cols,
+      frames_per_row: rows,
+      label,
+      pack: packJson(packName, packMeta),
+      sprite_image: { uri: spriteAbsUrl, width: W, height: H },
+      image: { uri: thumbAbsUrl, width: fw, height: fh, ...(srcset ? { srcset } : {}) },
+    };
+  if (atlas) {
+    // atlas: frames[] là bắt buộc (vị trí không suy ra được từ cols); offset = vị trí vùng đã trim trong frame gốc
+    sticker.frames = atlas.frames;
+    sticker.loop_count = model.numPlays;
+    sticker.total_duration = totalDelay;
+  } else if (frameData) {
+    sticker.frames = model.frames.map((f, k) => ({
+      x: (k % cols) * (fw + padding),
+      y: Math.floor(k / cols) * (fh + padding),
+      w: fw,
+      h: fh,
+      duration: f.delay || 0,
+    }));
+    sticker.loop_count = model.numPlays; // APNG num_plays, 0 = forever
+    sticker.total_duration = totalDelay;
+  }
+  if (sound) sticker.sound = sound;
+  if (video) sticker.video = video;
+  if (animationSrcset) sticker.animation_srcset = animationSrcset;
+  if (overlay) {
+    sticker.overlay = true;
+    sticker.overlay_type = overlay;
+  }
 
+  // 5) Write files: only once sticker.json is known to be valid
+  assertSticker(sticker, jsonPath);
+  const spriteAB = encode([sheet.buffer], W, H, 0);
+  await fs.writeFile(spritePath, Buffer.from(spriteAB));
   await fs.writeFile(jsonPath, JSON.stringify(sticker, null, 2), 'utf-8');
 
-  return { sticker, spriteAbsUrl, thumbAbsUrl, spritePath, jsonPath };
+  const atlasJsonPath = path.join(outDir, atlasJsonName);
+  if (atlas) {
+    const tp = texturePackerJson({ name: path.basename(outDir), image: spriteName, atlas, sourceSize: model });
+    await fs.writeFile(atlasJsonPath, JSON.stringify(tp, null, 2), 'utf-8');
+  } else {
+    await fs.unlink(atlasJsonPath).catch(() => {}); // left over from a previous atlas build
+  }
+
+  return { sticker, spriteAbsUrl, thumbAbsUrl, spritePath, jsonPath, ...(atlas ? { atlasJsonPath } : {}) };
 }
 
 /**
@@ -116,24 +219,49 @@ export async function buildSpriteForPackV2({
   jsonName = 'sticker.json',
   cols = 8,
   padding = 0,
-  label = 'Sticker animation',
-  packName = 'My Sticker Pack',
+  frameData = true,         // sticker.json: per-frame rects/durations, loop_count, total_duration
+  spriteLayout = 'grid',    // 'grid' | 'atlas' (see generateStickerFromAPNGUrlToFolder)
+  label,                    // default: "<pack title> <stickerId>"
+  packName,                 // default: pack title
+  pack,                     // scraped metadata (getPackInfo().pack), optional
+  cache,                    // sync cache (sync-cache.js): skip when APNG + options are unchanged
 }) {
   if (!packId) throw new Error('packId is required');
   if (!Array.isArray(frames) || frames.length === 0) throw new Error('frames is empty');
   if (!basePublicDir) throw new Error('basePublicDir is required');
   if (!basePublicUrl) throw new Error('basePublicUrl is required');
 
-  // Lấy TẤT CẢ APNG
-  const apngFrames = frames.filter(f => f.type === 'ANIMATED' || /\.apng($|\?)/i.test(f.url));
-  if (apngFrames.length === 0) {
+  // Lấy TẤT CẢ APNG (+ sticker có âm thanh: 1 frame, để sticker.json trỏ tới file audio)
+  // + popup/effect overlay -> <stickerId>/<stickerId>_popup/
+  const jobs = [];
+  for (const f of frames) {
+    if (f.type === 'ANIMATED' || /\.apng($|\?)/i.test(f.url) || f.soundUrl) {
+      jobs.push({
+        frame: f,
+        apngUrl: f.url,
+        dirName: sanitize(urlParts(f.url).baseNoExt),
+        srcRelPath: localPathForUrl_V2(packId, f.id, f.url),
+      });
+    }
+    if (f.popupUrl) {
+      const dirName = popupBaseName(f.id);
+      const ext = path.extname(urlParts(f.popupUrl).filename) || '.png';
+      jobs.push({
+        frame: f,
+        apngUrl: f.popupUrl,
+        dirName,
+        srcRelPath: ['line-packs-v2', sanitize(packId), sanitize(f.id), dirName, `${dirName}${ext}`].join('/'),
+        overlay: f.overlayType || 'popup',
+      });
+    }
+  }
+  if (jobs.length === 0) {
     return { count: 0, results: [] };
   }
 
   const results = [];
-  for (const apngFrame of apngFrames) {
+  for (const { frame: apngFrame, apngUrl, dirName, srcRelPath, overlay } of jobs) {
     const stickerId = String(apngFrame.id);
-    const { baseNoExt: apngBaseNoExt } = urlParts(apngFrame.url);
 
     // outDir tuyệt đối cho từng APNG
     const outDir = path.join(
@@ -141,7 +269,7 @@ export async function buildSpriteForPackV2({
       'line-packs-v2',
       sanitize(packId),
       sanitize(stickerId),
-      sanitize(apngBaseNoExt)
+      dirName
     );
     await fs.mkdir(outDir, { recursive: true });
 
@@ -150,7 +278,7 @@ export async function buildSpriteForPackV2({
       'line-packs-v2',
       sanitize(packId),
       sanitize(stickerId),
-      sanitize(apngBaseNoExt),
+      dirName,
       spriteName,
     ].join('/');
 
@@ -158,23 +286,48 @@ export async function buildSpriteForPackV2({
     const staticCandidate = apngFrame.staticUrl || apngFrame.fallbackStaticUrl || apngFrame.url;
     const thumbRelPath = localPathForUrl_V2(packId, stickerId, staticCandidate);
 
-    const one = await generateStickerFromAPNGUrlToFolder({
-      apngUrl: apngFrame.url,
+    const opts = {
+      apngUrl,
       outDir,
       spriteName,
       jsonName,
       cols,
       padding,
-      label,
-      packName,
+      label: label ?? (pack?.title ? `${pack.title} ${stickerId}` : 'Sticker animation'),
+      packName: packName ?? pack?.title ?? 'My Sticker Pack',
+      packMeta: pack,
+      sound: apngFrame.soundUrl
+        ? await soundJson({ basePublicDir, basePublicUrl, soundRelPath: localPathForUrl_V2(packId, stickerId, apngFrame.soundUrl) })
+        : undefined,
+      video: await videoJson({ basePublicDir, basePublicUrl, apngRelPath: srcRelPath }),
+      srcset: await srcsetJson({ basePublicDir, basePublicUrl, relPath: thumbRelPath }),
+      animationSrcset: await animationSrcsetJson({ basePublicDir, basePublicUrl, apngRelPath: srcRelPath }),
+      overlay,
+      frameData,
+      spriteLayout,
       basePublicUrl,
       spriteRelPath,
       thumbRelPath,
-    });
+    };
+
+    // APNG không đổi + cùng options + file còn đó -> giữ nguyên spritesheet/sticker.json
+    const outFiles = [path.join(outDir, spriteName), path.join(outDir, jsonName)];
+    if (spriteLayout === 'atlas') outFiles.push(path.join(outDir, spriteName.replace(/\.png$/i, '') + '.json'));
+    // schema_version: sticker.json written by an older schema is rebuilt
+    const fingerprint = sha256(JSON.stringify({ ...opts, schema_version: STICKER_SCHEMA_VERSION }));
+    const srcAbs = path.join(basePublicDir, srcRelPath); // APNG đã tải bởi saveStickerPack
+    if (cache && (await cache.isDerivedFresh(srcAbs, 'sprite', outFiles, fingerprint))) {
+      results.push({ stickerId, apngBase: dirName, skipped: true, spritePath: outFiles[0], jsonPath: outFiles[1] });
+      continue;
+    }
+
+    const one = await generateStickerFromAPNGUrlToFolder({ ...opts, apngPath: srcAbs });
+    cache?.markDerived(srcAbs, 'sprite', fingerprint);
 
     results.push({
       stickerId,
-      apngBase: apngBaseNoExt,
+      apngBase: dirName,
+      ...(overlay ? { overlay } : {}),
       ...one, // { sticker, spriteAbsUrl, thumbAbsUrl, spritePath, jsonPath }
     });
   }
@@ -57,22 +57,28 @@
 // apng-to-gif.js (ESM)
 import path from 'path';
 import { promises as fs } from 'node:fs';
-import UPNG from 'upng-js';
-import { Gif, GifFrame, BitmapImage } from 'gifwrap';
+import { Gif, GifCodec, GifFrame, BitmapImage, GifUtil } from 'gifwrap';
+import { readApng } from './apng-model.js';
 
-const  { decode, toRGBA8} = UPNG
+/**
+ * Plays (APNG num_plays, 0 = forever) -> NETSCAPE loop count, which counts repeats after the first play;
+ * null = no loop extension (play once).
+ */
+export const gifLoopsFor = (plays) => (plays === 0 ? 0 : plays - 1 || null);
 
 /**
  * @typedef {Object} GifOptions
- * @property {number} [repeat=0]         // 0=infinite, 1+=exact loop count
+ * @property {number} [repeat]          // plays like APNG num_plays / WebP loop (0=infinite); default: the APNG's
  * @property {number} [colorCount=256]   // 2..256
  * @property {number} [maxFrameDelayMs]  // clamp per-frame delay (ms), optional
  * @property {'throw'|'skip'} [onFrameError='throw'] // skip bad frames or throw
+ * @property {string|number} [matte]     // blend semi-transparent pixels onto this colour (#rrggbb); default: keep their RGB
+ * @property {number} [alphaThreshold=128] // alpha below this -> transparent (0 = nothing transparent, use with matte)
+ * @property {'none'|'floyd-steinberg'|'bayer'} [dither='bayer']
+ * @property {number} [bayerScale=5]     // 0..5 like ffmpeg; higher = fainter pattern
+ * @property {'global'|'local'} [palette='global'] // one palette for all frames, or one per frame
  */
 
-const PNG_SIG = Buffer.from([0x89,0x50,0x4E,0x47,0x0D,0x0A,0x1A,0x0A]);
-const isPngSig = (buf) => buf.length >= 8 && buf.subarray(0,8).equals(PNG_SIG);
-
 async function ensureDir(dir) {
   await fs.mkdir(dir, { recursive: true });
 }
@@ -85,95 +91,269 @@ function toCentis(delayMs, maxFrameDelayMs) {
   return Math.max(1, Math.round(ms / 10));
 }
 
+/** GIF dither modes: 'bayer' matches the ffmpeg path (paletteuse=dither=bayer) */
+export const GIF_DITHERS = ['none', 'floyd-steinberg', 'bayer'];
+export const GIF_PALETTES = ['global', 'local'];
+
+/** '#rgb' | '#rrggbb' | 0xrrggbb | {r,g,b} -> [r, g, b] */
+export function parseColor(c) {
+  if (typeof c === 'number') return [(c >> 16) & 255, (c >> 8) & 255, c & 255];
+  if (c && typeof c === 'object') return [c.r, c.g, c.b].map(v => Math.max(0, Math.min(255, Math.round(v || 0))));
+  const hex = String(c).trim().replace(/^#/, '');
+  const full = hex.length === 3 ? hex.replace(/./g, '$&$&') : hex;
+  if (!/^[0-9a-f]{6}$/i.test(full)) throw new Error(`Invalid colour "${c}" (expected #rrggbb)`);
+  return [0, 2, 4].map(i => parseInt(full.slice(i, i + 2), 16));
+}
+
 /**
- * Core: APNG bytes -> GIF Buffer (gifwrap)
- * @param {ArrayBuffer} ab
- * @param {GifOptions} opts
- * @returns {Promise<Buffer>}
+ * GIF has 1-bit transparency: alpha < threshold -> transparent (all zero, so pixels compare as
+ * Uint32), else opaque. With a matte, partly transparent pixels are blended onto it first.
  */
-async function apngArrayBufferToGifBuffer(ab, opts = {}) {
-  const {
-    repeat = 0,
-    colorCount = 256,
-    maxFrameDelayMs,
-    onFrameError = 'throw',
-  } = opts;
-
-  // Decode APNG
-  let img;
-  try {
-    img = decode(ab);
-  } catch (e) {
-    throw new Error(`decode() failed: ${e?.message || e}`);
-  }
-  if (!img || typeof img.width !== 'number' || typeof img.height !== 'number') {
-    throw new Error(`Invalid APNG meta (no width/height).`);
+function flattenAlpha(rgba, matte, threshold) {
+  const out = new Uint8Array(rgba.length);
+  for (let i = 0; i < rgba.length; i += 4) {
+    const a = rgba[i + 3];
+    if (a < threshold) continue;
+    if (matte && a < 255) {
+      for (let c = 0; c < 3; c++) out[i + c] = Math.round((rgba[i + c] * a + matte[c] * (255 - a)) / 255);
+    } else {
+      out[i] = rgba[i]; out[i + 1] = rgba[i + 1]; out[i + 2] = rgba[i + 2];
+    }
+    out[i + 3] = 255;
   }
+  return out;
+}
 
-  const w = img.width;
-  const h = img.height;
-  const frameCount = Array.isArray(img.frames) ? img.frames.length : 0;
+const u32 = (rgba) => new Uint32Array(rgba.buffer, rgba.byteOffset, rgba.length >> 2);
 
-  // Expand to full RGBA frames
-  let rgbaFrames;
-  try {
-    rgbaFrames = toRGBA8(img); // Uint8Array[] (length = frameCount or 1 for static)
-  } catch (e) {
-    throw new Error(`toRGBA8() failed: ${e?.message || e}`);
+/**
+ * Up to maxColors opaque colours (0xBBGGRR) for a set of flattened frames: the exact colours when
+ * they fit, else a Wu quantization of all their opaque pixels (one palette for every frame, like palettegen).
+ */
+function buildPalette(frames, maxColors) {
+  const uniq = new Set();
+  let opaque = 0;
+  for (const f of frames) {
+    for (const v of u32(f)) {
+      if (!v) continue;
+      opaque++;
+      if (uniq.size <= maxColors) uniq.add(v & 0xffffff);
+    }
   }
+  if (uniq.size <= maxColors) return [...uniq];
 
-  const expected = Math.max(1, frameCount);
-  if (!Array.isArray(rgbaFrames) || rgbaFrames.length !== expected) {
-    throw new Error(`RGBA frames mismatch: frames=${frameCount}, rgba=${rgbaFrames?.length ?? 'N/A'}`);
-  }
+  // quantize the opaque pixels laid out as one strip
+  const strip = Buffer.alloc(opaque * 4);
+  const view = u32(strip);
+  let n = 0;
+  for (const f of frames) for (const v of u32(f)) if (v) view[n++] = v;
+  const img = new BitmapImage({ width: opaque, height: 1, data: strip });
+  GifUtil.quantizeWu(img, maxColors);
+  return [...new Set(u32(img.bitmap.data).map(v => v & 0xffffff))];
+}
 
-  // Build GifFrames
-  const gifFrames = [];
-  if (frameCount === 0) {
-    // Static PNG
-    const rgba = rgbaFrames[0];
-    if (!rgba || rgba.length !== w * h * 4) {
-      throw new Error(`Static frame invalid RGBA size.`);
+// 8×8 ordered-dither matrix, scaled like ffmpeg's bayer_scale (0 = strongest pattern, 5 = faintest)
+const BAYER8 = [
+  0, 32, 8, 40, 2, 34, 10, 42, 48, 16, 56, 24, 50, 18, 58, 26,
+  12, 44, 4, 36, 14, 46, 6, 38, 60, 28, 52, 20, 62, 30, 54, 22,
+  3, 35, 11, 43, 1, 33, 9, 41, 51, 19, 59, 27, 49, 17, 57, 25,
+  15, 47, 7, 39, 13, 45, 5, 37, 63, 31, 55, 23, 61, 29, 53, 21,
+];
+
+/**
+ * Map a flattened frame onto `palette`, dithered. Pixels whose source colour is the same as in the
+ * previous frame keep the previous output (global palette only) so dither noise does not make
+ * static areas flicker and grow the frame rectangles — the same idea as paletteuse diff_mode=rectangle.
+ * @returns {Uint32Array} opaque pixels = palette colour | 0xff000000, transparent = 0
+ */
+function mapToPalette(src, width, height, palette, { dither, bayerScale, prevSrc, prevOut }) {
+  const pixels = u32(src);
+  const out = new Uint32Array(pixels.length);
+  const pr = palette.map(c => c & 255), pg = palette.map(c => (c >> 8) & 255), pb = palette.map(c => (c >> 16) & 255);
+  const cache = new Map();
+  const nearest = (r, g, b) => {
+    const key = r | (g << 8) | (b << 16);
+    let best = cache.get(key);
+    if (best !== undefined) return best;
+    let bestD = Infinity;
+    for (let i = 0; i < palette.length; i++) {
+      const dr = r - pr[i], dg = g - pg[i], db = b - pb[i];
+      const d = dr * dr + dg * dg + db * db;
+      if (d < bestD) { bestD = d; best = i; }
     }
-    const bmp = new BitmapImage({ width: w, height: h, data: Buffer.from(rgba) });
-    gifFrames.push(new GifFrame(bmp, { delayCentisecs: 10 }));
-  } else {
-    for (let i = 0; i < frameCount; i++) {
-      try {
-        const f = img.frames[i] || {};
-        const rgba = rgbaFrames[i];
-        if (!rgba || rgba.length !== w * h * 4) {
-          throw new Error(`frame[${i}] RGBA size=${rgba?.length}, expected=${w*h*4}`);
-        }
-        const bmp = new BitmapImage({ width: w, height: h, data: Buffer.from(rgba) });
-        const dcs = toCentis(f.delay || 0, maxFrameDelayMs);
-        gifFrames.push(new GifFrame(bmp, { delayCentisecs: dcs }));
-      } catch (e) {
-        if (onFrameError === 'skip') {
-          // skip this frame quietly
-          continue;
+    cache.set(key, best);
+    return best;
+  };
+  const clamp = (v) => (v < 0 ? 0 : v > 255 ? 255 : Math.round(v));
+  const err = dither === 'floyd-steinberg' ? new Float32Array(pixels.length * 3) : null;
+  const spread = (p, k, er, eg, eb) => {
+    err[p * 3] += er * k; err[p * 3 + 1] += eg * k; err[p * 3 + 2] += eb * k;
+  };
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const p = y * width + x;
+      const v = pixels[p];
+      if (!v) continue;
+      if (prevOut && v === prevSrc[p]) {
+        out[p] = prevOut[p];
+        continue;
+      }
+      let r = v & 255, g = (v >> 8) & 255, b = (v >> 16) & 255;
+      if (err) {
+        r = clamp(r + err[p * 3]); g = clamp(g + err[p * 3 + 1]); b = clamp(b + err[p * 3 + 2]);
+      } else if (dither === 'bayer') {
+        const d = (BAYER8[(y & 7) * 8 + (x & 7)] >> bayerScale) - (1 << (5 - bayerScale));
+        r = clamp(r + d); g = clamp(g + d); b = clamp(b + d);
+      }
+      const i = nearest(r, g, b);
+      out[p] = (palette[i] | 0xff000000) >>> 0;
+      if (err) {
+        const er = r - pr[i], eg = g - pg[i], eb = b - pb[i];
+        if (x + 1 < width) spread(p + 1, 7 / 16, er, eg, eb);
+        if (y + 1 < height) {
+          if (x > 0) spread(p + width - 1, 3 / 16, er, eg, eb);
+          spread(p + width, 5 / 16, er, eg, eb);
+          if (x + 1 < width) spread(p + width + 1, 1 / 16, er, eg, eb);
         }
-        throw new Error(`Building frame[${i}] failed: ${e?.message || e}`);
       }
     }
-    if (gifFrames.length === 0) {
-      throw new Error(`No valid frames to encode.`);
+  }
+  return out;
+}
+
+/** Bounding box of the pixels where test(p) holds, or null */
+function bbox(width, height, test) {
+  let minX = width, minY = height, maxX = -1, maxY = -1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!test(y * width + x)) continue;
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+    }
+  }
+  return maxX < 0 ? null : { x: minX, y: minY, w: maxX - minX + 1, h: maxY - minY + 1 };
+}
+
+function union(a, b) {
+  if (!a || !b) return a || b;
+  const x = Math.min(a.x, b.x), y = Math.min(a.y, b.y);
+  return { x, y, w: Math.max(a.x + a.w, b.x + b.w) - x, h: Math.max(a.y + a.h, b.y + b.h) - y };
+}
+
+/**
+ * Frame-diff rectangles + disposal for fully composited frames (APNG dispose/blend already applied).
+ * Each frame only carries the rect that changed; pixels in it that are already on screen are
+ * written transparent. GIF can't draw transparency over a pixel, so when the next frame erases
+ * pixels this frame is disposed to background (cleared) over a rect that covers them; the last frame
+ * does the same for frame 0 so the loop restarts clean.
+ * @param {Uint32Array[]} frames
+ * @returns {{rect:{x:number, y:number, w:number, h:number}, pixels:Buffer, disposal:number}[]}
+ */
+function diffFrames(frames, width, height) {
+  const n = frames.length;
+  const erased = frames.map((cur, i) => {
+    const prev = frames[(i - 1 + n) % n];
+    return n > 1 ? bbox(width, height, p => prev[p] !== 0 && cur[p] === 0) : null;
+  });
+
+  const out = [];
+  let screen = new Uint32Array(width * height); // canvas before frame i is drawn
+  for (let i = 0; i < n; i++) {
+    const cur = frames[i];
+    const clear = erased[(i + 1) % n];
+    let rect = i === 0 ? { x: 0, y: 0, w: width, h: height } : bbox(width, height, p => screen[p] !== cur[p]);
+    rect = union(rect, clear) || { x: 0, y: 0, w: 1, h: 1 }; // identical frame: 1 transparent px
+
+    const pixels = Buffer.alloc(rect.w * rect.h * 4);
+    const view = u32(pixels);
+    for (let r = 0; r < rect.h; r++) {
+      for (let c = 0; c < rect.w; c++) {
+        const p = (rect.y + r) * width + rect.x + c;
+        if (screen[p] !== cur[p]) view[r * rect.w + c] = cur[p];
+      }
+    }
+    const disposal = clear ? GifFrame.DisposeToBackgroundColor : GifFrame.DisposeNothing;
+    out.push({ rect, pixels, disposal });
+
+    screen = cur.slice();
+    if (clear) {
+      for (let r = 0; r < rect.h; r++) screen.fill(0, (rect.y + r) * width + rect.x, (rect.y + r) * width + rect.x + rect.w);
+    }
+  }
+  return out;
+}
+
+/**
+ * Core: decoded APNG model (apng-model.js) -> GIF Buffer (gifwrap).
+ * Defaults follow the ffmpeg path: one palette for the whole animation, light Bayer dither,
+ * only the changed rectangle of each frame.
+ * @param {import('./apng-model.js').ApngModel} model
+ * @param {GifOptions} opts
+ * @returns {Promise<Buffer>}
+ */
+export async function encodeGif(model, opts = {}) {
+  const {
+    repeat = model.numPlays ?? 0,
+    colorCount = 256,
+    maxFrameDelayMs,
+    onFrameError = 'throw',
+    matte,
+    alphaThreshold = 128,
+    dither = 'bayer',
+    bayerScale = 5,
+    palette = 'global',
+  } = opts;
+  if (!GIF_DITHERS.includes(dither)) throw new Error(`Unknown dither "${dither}" (expected ${GIF_DITHERS.join(', ')})`);
+  if (!GIF_PALETTES.includes(palette)) throw new Error(`Unknown palette "${palette}" (expected ${GIF_PALETTES.join(', ')})`);
+  if (!(bayerScale >= 0 && bayerScale <= 5)) throw new Error(`bayerScale must be 0..5, got ${bayerScale}`);
+
+  const { width: w, height: h } = model;
+  const matteRgb = matte == null ? null : parseColor(matte);
+
+  // Flatten alpha (static PNG -> one frame of 100ms)
+  const frames = [];
+  for (let i = 0; i < model.frames.length; i++) {
+    const f = model.frames[i];
+    if (!f.rgba || f.rgba.length !== w * h * 4) {
+      if (onFrameError === 'skip') continue; // skip this frame quietly
+      throw new Error(`Building frame[${i}] failed: RGBA size=${f.rgba?.length}, expected=${w*h*4}`);
     }
+    frames.push({
+      rgba: flattenAlpha(f.rgba, matteRgb, alphaThreshold),
+      delay: model.animated ? toCentis(f.delay, maxFrameDelayMs) : 10,
+    });
+  }
+  if (frames.length === 0) {
+    throw new Error(`No valid frames to encode.`);
   }
 
-  // Encode GIF
+  // Palette(s): 256 colours, one of which is reserved for transparency
+  const maxColors = Math.max(2, Math.min(256, colorCount)) - 1;
+  const shared = palette === 'global' ? buildPalette(frames.map(f => f.rgba), maxColors) : null;
+  const mapped = [];
+  frames.forEach((f, i) => {
+    mapped.push(mapToPalette(f.rgba, w, h, shared || buildPalette([f.rgba], maxColors), {
+      dither,
+      bayerScale,
+      ...(shared && i > 0 ? { prevSrc: u32(frames[i - 1].rgba), prevOut: mapped[i - 1] } : {}),
+    }));
+  });
+
   try {
-    const gif = new Gif(gifFrames, {
-      loopCount: repeat === 0 ? 0 : repeat, // 0=infinite
-      colorScope: 'per-frame',
-      maxColors: Math.max(2, Math.min(256, colorCount)),
+    const gifFrames = diffFrames(mapped, w, h).map(({ rect, pixels, disposal }, i) => new GifFrame(
+      new BitmapImage({ width: rect.w, height: rect.h, data: pixels }),
+      { xOffset: rect.x, yOffset: rect.y, disposalMethod: disposal, delayCentisecs: frames[i].delay },
+    ));
+    const encoded = await new GifCodec().encodeGif(gifFrames, {
+      loops: gifLoopsFor(repeat), // 0=infinite
+      colorScope: shared ? Gif.GlobalColorsPreferred : Gif.LocalColorsOnly,
     });
-    const encoded = await gif.encode();
-    return Buffer.from(encoded.buffer);
+    return encoded.buffer;
   } catch (e) {
-    const badIndex = gifFrames.findIndex((fr) => !fr || !fr.bitmap);
-    const hint = badIndex >= 0 ? ` (bitmap missing at frame ${badIndex})` : '';
-    throw new Error(`gifwrap encode() failed${hint}: ${e?.message || e}`);
+    throw new Error(`gifwrap encode() failed: ${e?.message || e}`);
   }
 }
 
@@ -185,11 +365,7 @@ async function apngArrayBufferToGifBuffer(ab, opts = {}) {
  */
 export async function convertApngToGif(apngPath, gifPath, opts = {}) {
   try {
-    const buf = await fs.readFile(apngPath);
-    if (!isPngSig(buf)) throw new Error(`Not a PNG signature: ${apngPath}`);
-    const ab = buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength);
-
-    const gifBuf = await apngArrayBufferToGifBuffer(ab, opts);
+    const gifBuf = await encodeGif(await readApng(apngPath), opts);
 
     await ensureDir(path.dirname(gifPath));
     await fs.writeFile(gifPath, gifBuf);
@@ -3,13 +3,13 @@ import { execFile } from 'node:child_process';
 import { promisify } from 'node:util';
 import { promises as fs } from 'node:fs';
 import path from 'node:path';
-import { Gif, GifFrame, BitmapImage } from 'gifwrap';
-import UPNG from 'upng-js';
+import { readApng } from './apng-model.js';
+import { encodeGif, gifLoopsFor } from './apng2gif.js';
+import { readPngInfo } from './helpers.js';
+import sharp from 'sharp';
 import { createRequire } from 'node:module';
 const require = createRequire(import.meta.url);
-const apng2gif = require('apng2gif'); // CJS, fine to require in ESM
 
-const { decode, toRGBA8 } = UPNG;
 const execFileP = promisify(execFile);
 
 // ---- helpers
@@ -22,12 +22,9 @@ function ffmpegUnimplemented(stderr = '') {
     stderr.includes('Invalid data found when processing input')
   );
 }
-const PNG_SIG = Buffer.from([0x89,0x50,0x4E,0x47,0x0D,0x0A,0x1A,0x0A]);
-const isPngSigBuf = (buf) => buf?.length >= 8 && buf.subarray(0,8).equals(PNG_SIG);
-const bufToAB = (b) => b.buffer.slice(b.byteOffset, b.byteOffset + b.byteLength);
-const toCS = (ms) => Math.max(1, Math.round((ms || 0) / 10));
+const ffmpegMissing = (e) => e?.code === 'ENOENT';
 
-async function tryFfmpeg(apngPath, outGifPath) {
+async function tryFfmpeg(apngPath, outGifPath, { loopCount = 0 } = {}) {
   const dir = path.dirname(outGifPath);
   const palette = path.join(dir, '___palette.tmp.png');
 
@@ -42,6 +39,7 @@ async function tryFfmpeg(apngPath, outGifPath) {
   try {
     await execFileP('ffmpeg', genArgs, { windowsHide: true });
   } catch (e) {
+    if (ffmpegMissing(e)) throw new Error('ffmpeg-not-found');
     const err = e?.stderr?.toString?.() || e?.message || '';
     if (ffmpegUnimplemented(err)) throw new Error('ffmpeg-not-implemented');
     throw new Error(`ffmpeg palettegen failed: ${err}`);
@@ -54,6 +52,7 @@ async function tryFfmpeg(apngPath, outGifPath) {
     '-f','apng','-i', apngPath,
     '-i', palette,
     '-lavfi','format=rgba,paletteuse=dither=bayer:bayer_scale=5:diff_mode=rectangle',
+    '-loop', String(gifLoopsFor(loopCount) ?? -1), // -1: play once
     '-y', outGifPath,
   ];
   try {
@@ -67,124 +66,140 @@ async function tryFfmpeg(apngPath, outGifPath) {
   }
 }
 
-// ---- fallback #2: upng-js + gifwrap (with strict guards)
-async function tryUpngGifwrap(apngPath, outGifPath, { loopCount = 0, maxFrameDelayMs, onFrameError = 'throw' } = {}) {
-  const file = await fs.readFile(apngPath);
-  if (!isPngSigBuf(file)) throw new Error('not-a-png-signature');
-
-  let img;
+// ---- fallback #2: upng-js + gifwrap (shared decoded model, see apng-model.js)
+async function tryUpngGifwrap(apngPath, outGifPath, { loopCount = 0, ...encodeOpts } = {}) {
+  const model = await readApng(apngPath); // throws not-a-png-signature / decode-failed / rgba-mismatch
   try {
-    img = decode(bufToAB(file));
+    await fs.writeFile(outGifPath, await encodeGif(model, { repeat: loopCount, ...encodeOpts }));
   } catch (e) {
-    throw new Error(`decode-failed: ${e?.message || e}`);
-  }
-  if (!img || typeof img.width !== 'number' || typeof img.height !== 'number') {
-    throw new Error('invalid-meta');
+    throw new Error(`encode-failed: ${e?.message || e}`);
   }
+}
 
-  const w = img.width, h = img.height;
-  let rgbaFrames;
+// ---- fallback #3: apng2gif (tolerant, no loop control); loaded lazily so excluding it works without the package
+async function tryApng2gif(apngPath, outGifPath, { backgroundColor, transparencyThreshold } = {}) {
+  let apng2gif;
   try {
-    rgbaFrames = toRGBA8(img); // Uint8Array[]
+    apng2gif = require('apng2gif'); // CJS, fine to require in ESM
   } catch (e) {
-    throw new Error(`toRGBA8-failed: ${e?.message || e}`);
+    throw new Error(`apng2gif-not-installed: ${e?.message || e}`);
   }
+  await apng2gif(apngPath, outGifPath, {
+    backgroundColor,
+    transparencyThreshold,
+  });
+}
 
-  const frameCount = Array.isArray(img.frames) ? img.frames.length : 0;
-  const expected = Math.max(1, frameCount);
-  if (!Array.isArray(rgbaFrames) || rgbaFrames.length !== expected) {
-    throw new Error(`rgba-mismatch: frames=${frameCount} rgba=${rgbaFrames?.length ?? 'N/A'}`);
-  }
+export const GIF_BACKENDS = ['ffmpeg', 'gifwrap', 'apng2gif'];
 
-  const frames = [];
-  if (frameCount === 0) {
-    const rgba = rgbaFrames[0];
-    if (!rgba || rgba.length !== w*h*4) throw new Error('static-bad-rgba');
-    frames.push(new GifFrame(new BitmapImage({ width: w, height: h, data: Buffer.from(rgba) }), { delayCentisecs: 10 }));
-  } else {
-    for (let i = 0; i < frameCount; i++) {
-      try {
-        const rgba = rgbaFrames[i];
-        if (!rgba || rgba.length !== w*h*4) throw new Error(`bad-rgba-size(${rgba?.length})`);
-        const delayMs = img.frames[i]?.delay || 0;
-        const d = typeof maxFrameDelayMs === 'number' ? Math.min(delayMs, maxFrameDelayMs) : delayMs;
-        frames.push(new GifFrame(new BitmapImage({ width: w, height: h, data: Buffer.from(rgba) }), { delayCentisecs: toCS(d) }));
-      } catch (e) {
-        if (onFrameError === 'skip') continue;
-        throw new Error(`build-frame[${i}]-failed: ${e?.message || e}`);
-      }
-    }
-    if (!frames.length) throw new Error('no-valid-frames');
-  }
-
-  try {
-    const gif = new Gif(frames, { loopCount, colorScope: 'per-frame', maxColors: 256 });
-    const encoded = await gif.encode();
-    await fs.writeFile(outGifPath, Buffer.from(encoded.buffer));
-  } catch (e) {
-    const badIndex = frames.findIndex((fr) => !fr || !fr.bitmap);
-    const hint = badIndex >= 0 ? ` (bad frame at ${badIndex})` : '';
-    throw new Error(`encode-failed${hint}: ${e?.message || e}`);
+/**
+ * Backends apngToGif will try, in order: `backend` forces a single one, `exclude` drops some.
+ * @param {{backend?: string, exclude?: string[]}} [opts]
+ * @returns {string[]}
+ */
+export function gifBackends({ backend, exclude = [] } = {}) {
+  for (const name of [backend, ...exclude].filter(Boolean)) {
+    if (!GIF_BACKENDS.includes(name)) throw new Error(`Unknown GIF backend "${name}" (expected ${GIF_BACKENDS.join(', ')})`);
   }
+  const order = (backend ? [backend] : GIF_BACKENDS).filter(b => !exclude.includes(b));
+  if (!order.length) throw new Error('No GIF backend left to try');
+  return order;
 }
 
-// ---- fallback #3: apng2gif (tolerant, no loop control)
-async function tryApng2gif(apngPath, outGifPath, { backgroundColor, transparencyThreshold } = {}) {
-  await apng2gif(apngPath, outGifPath, {
-    backgroundColor,
-    transparencyThreshold,
-  });
+/** encodeGif options that change the gifwrap output (see GifOptions in apng2gif.js) */
+const GIFWRAP_OPTIONS = ['matte', 'alphaThreshold', 'dither', 'bayerScale', 'palette'];
+
+/**
+ * Cache fingerprint for a GIF made with these apngToGif options: the backend order, the loop count
+ * (`apng` = the APNG's num_plays), plus the gifwrap encoder options that were set explicitly.
+ * @returns {string}
+ */
+export function gifFingerprint(opts = {}) {
+  const order = gifBackends(opts).join(',');
+  const set = GIFWRAP_OPTIONS.filter(k => opts[k] != null).map(k => `${k}=${opts[k]}`);
+  return [order, `loop=${opts.repeat ?? 'apng'}`, ...set].join(';');
 }
 
+/**
+ * @typedef {Object} GifResult
+ * @property {string} out
+ * @property {'ffmpeg'|'gifwrap'|'apng2gif'} backend   stage that produced the file
+ * @property {{backend:string, message:string}[]} warnings  why earlier stages failed
+ * @property {number} size          bytes
+ * @property {number} frame_count
+ */
+
 /**
  * Convert APNG file -> GIF file.
- * Order: ffmpeg → upng+gifwrap → apng2gif
+ * Order: ffmpeg → upng+gifwrap → apng2gif (see gifBackends for forcing / excluding stages).
+ * Throws when every stage fails; the error carries the per-stage `warnings`.
+ * @returns {Promise<GifResult>}
  */
 export async function apngToGif(
   apngPath,
   outGifPath,
   {
-    // preferred loop in final GIF
-    repeat = 0,                    // 0 = infinite
+    // plays of the final GIF (0 = infinite); default: the APNG's num_plays, like the WebP
+    repeat,
     maxFrameDelayMs,               // optional clamp
     onFrameError = 'throw',        // 'skip' to skip bad frames in UPNG path
+    matte,                         // gifwrap: blend semi-transparent pixels onto this colour
+    alphaThreshold,                // gifwrap: alpha below this -> transparent (default 128)
+    dither,                        // gifwrap: 'none' | 'floyd-steinberg' | 'bayer' (default)
+    bayerScale,                    // gifwrap: 0..5 (default 5, like the ffmpeg path)
+    palette,                       // gifwrap: 'global' (default) | 'local'
     backgroundColor,               // only used by apng2gif fallback
     transparencyThreshold,         // only used by apng2gif fallback
+    backend,                       // force one of GIF_BACKENDS
+    exclude,                       // GIF_BACKENDS to skip
   } = {}
 ) {
+  const order = gifBackends({ backend, exclude });
   await fs.mkdir(path.dirname(outGifPath), { recursive: true });
-
-  // 1) ffmpeg fast path
-  try {
-    await tryFfmpeg(apngPath, outGifPath);
-    return { out: outGifPath };
-  } catch (e) {
-    console.warn('[ffmpeg] fallback:', e.message);
-  }
-
-  // 2) upng-js + gifwrap (has loop control)
-  try {
-    await tryUpngGifwrap(apngPath, outGifPath, {
-      loopCount: repeat === 0 ? 0 : repeat,
+  const loopCount = repeat ?? readPngInfo(await fs.readFile(apngPath)).numPlays;
+
+  const stages = {
+    // 1) ffmpeg fast path
+    ffmpeg: () => tryFfmpeg(apngPath, outGifPath, { loopCount }),
+    // 2) upng-js + gifwrap (has loop control)
+    gifwrap: () => tryUpngGifwrap(apngPath, outGifPath, {
+      loopCount,
       maxFrameDelayMs,
       onFrameError,
-    });
-    return { out: outGifPath };
-  } catch (e) {
-    console.warn('[upng-gifwrap] fallback:', e.message);
+      matte,
+      alphaThreshold,
+      dither,
+      bayerScale,
+      palette,
+    }),
+    // 3) apng2gif (very tolerant; no loop control)
+    apng2gif: () => tryApng2gif(apngPath, outGifPath, { backgroundColor, transparencyThreshold }),
+  };
+
+  const warnings = [];
+  for (const name of order) {
+    try {
+      await stages[name]();
+    } catch (e) {
+      warnings.push({ backend: name, message: e?.message || String(e) });
+      continue;
+    }
+    const [{ size }, meta] = await Promise.all([
+      fs.stat(outGifPath),
+      sharp(outGifPath, { animated: true }).metadata(),
+    ]);
+    return { out: outGifPath, backend: name, warnings, size, frame_count: meta.pages || 1 };
   }
 
-  // 3) apng2gif (very tolerant; no loop control)
-  try {
-    console.log('[apng2gif] fallback: using apng2gif: ');
-    await tryApng2gif(apngPath, outGifPath, { backgroundColor, transparencyThreshold });
-    return { out: outGifPath };
-  } catch (e) {
-    throw new Error(`[apng2gif] failed: ${e?.message || e}`);
-  }
+  const err = new Error(`APNG→GIF failed for ${apngPath}: ${warnings.map(w => `[${w.backend}] ${w.message}`).join('; ')}`);
+  err.warnings = warnings;
+  throw err;
 }
 
-/** Convenience: *_animation.png -> *_animation.gif next to it */
+/**
+ * Convenience: *_animation.png -> *_animation.gif next to it
+ * @returns {Promise<GifResult>}
+ */
 export async function apngToGifSibling(apngFileAbs, opts) {
   const dir = path.dirname(apngFileAbs);
   const base = path.basename(apngFileAbs, path.extname(apngFileAbs));
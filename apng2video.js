@@ -0,0 +1,191 @@
+// apng2video.js — decoded APNG frames -> short videos for chat embeds / social previews (ffmpeg)
+import { spawn } from 'node:child_process';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { Readable } from 'node:stream';
+import { readApng } from './apng-model.js';
+import { parseColor } from './apng2gif.js';
+import { assertSticker, readStickerJson } from './sticker-schema.js';
+
+export const VIDEO_FORMATS = ['webm', 'mp4'];
+
+export const VIDEO_MIME = {
+  '.webm': 'video/webm; codecs=vp9',
+  '.mp4': 'video/mp4',
+};
+
+/** Error message prefix when ffmpeg is not installed (same wording as tryFfmpeg in apng2gif.v2.js) */
+export const FFMPEG_NOT_FOUND = 'ffmpeg-not-found';
+export const isFfmpegMissing = (e) => String(e?.message || '').startsWith(FFMPEG_NOT_FOUND);
+
+/**
+ * @typedef {Object} VideoOptions
+ * @property {number} [fps=30]                frames are repeated to follow the APNG delays at this rate
+ * @property {string|number} [background='#ffffff']  mp4 only: H.264 has no alpha, frames are flattened onto it
+ * @property {number} [crf]                   quality (lower = better); default 32 for VP9, 23 for H.264
+ * @property {number} [plays=1]               how many times the animation plays in the video
+ */
+
+/**
+ * @typedef {Object} VideoResult
+ * @property {string} out
+ * @property {'webm'|'mp4'} format
+ * @property {number} size         bytes
+ * @property {number} duration     ms
+ * @property {number} frame_count  video frames (after repeating frames to match the delays)
+ */
+
+/**
+ * Run ffmpeg with `frames` piped to stdin (waits for the pipe to drain, so only a few frames are
+ * buffered at a time); rejects with FFMPEG_NOT_FOUND when it is not installed
+ */
+function runFfmpeg(args, frames) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('ffmpeg', args, { windowsHide: true, stdio: ['pipe', 'ignore', 'pipe'] });
+    let stderr = '';
+    child.stderr.on('data', (d) => { stderr += d; });
+    child.stdin.on('error', () => {}); // EPIPE when ffmpeg exits early; reported by 'close'
+    child.on('error', (e) => {
+      reject(e?.code === 'ENOENT'
+        ? new Error(`${FFMPEG_NOT_FOUND}: install ffmpeg (with libvpx-vp9 and libx264) to make WebM/MP4 stickers`)
+        : e);
+    });
+    child.on('close', (code) => {
+      if (code === 0) resolve();
+      else reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim()}`));
+    });
+    Readable.from(frames).pipe(child.stdin);
+  });
+}
+
+/**
+ * Output frame -> APNG frame index at a constant fps, keeping every frame at least once
+ * and the cumulative timing of the APNG (rounding errors don't add up).
+ */
+function frameSchedule(model, fps, plays) {
+  if (!model.animated) return [0];
+  const once = [];
+  let t = 0;
+  model.frames.forEach((f, i) => {
+    const start = Math.round((t * fps) / 1000);
+    t += f.delay || 0;
+    const end = Math.round((t * fps) / 1000);
+    for (let k = 0; k < Math.max(1, end - start); k++) once.push(i);
+  });
+  return Array.from({ length: plays }, () => once).flat();
+}
+
+/** RGBA frame -> RGB over a solid background */
+function flatten(rgba, [br, bg, bb]) {
+  const out = Buffer.alloc((rgba.length / 4) * 3);
+  for (let i = 0, o = 0; i < rgba.length; i += 4, o += 3) {
+    const a = rgba[i + 3];
+    out[o] = Math.round((rgba[i] * a + br * (255 - a)) / 255);
+    out[o + 1] = Math.round((rgba[i + 1] * a + bg * (255 - a)) / 255);
+    out[o + 2] = Math.round((rgba[i + 2] * a + bb * (255 - a)) / 255);
+  }
+  return out;
+}
+
+const hex = (rgb) => '0x' + rgb.map(v => v.toString(16).padStart(2, '0')).join('');
+
+/**
+ * Decoded APNG model (apng-model.js) -> WebM (VP9 + alpha) or MP4 (H.264 over `background`)
+ * @param {import('./apng-model.js').ApngModel} model
+ * @param {string} outPath
+ * @param {VideoOptions & {format: 'webm'|'mp4'}} opts
+ * @returns {Promise<VideoResult>}
+ */
+export async function encodeVideo(model, outPath, { format, fps = 30, background = '#ffffff', crf, plays = 1 } = {}) {
+  if (!VIDEO_FORMATS.includes(format)) throw new Error(`Unknown video format "${format}" (expected ${VIDEO_FORMATS.join(', ')})`);
+  const { width, height } = model;
+  const schedule = frameSchedule(model, fps, plays);
+  const input = ['-f', 'rawvideo', '-s', `${width}x${height}`, '-framerate', String(fps), '-i', 'pipe:0'];
+
+  let frames, args;
+  if (format === 'webm') {
+    frames = model.frames.map(f => Buffer.from(f.rgba.buffer, f.rgba.byteOffset, width * height * 4));
+    args = [
+      '-pix_fmt', 'rgba', ...input,
+      '-c:v', 'libvpx-vp9', '-pix_fmt', 'yuva420p', '-crf', String(crf ?? 32), '-b:v', '0',
+    ];
+  } else {
+    const bg = parseColor(background);
+    frames = model.frames.map(f => flatten(f.rgba, bg));
+    args = [
+      '-pix_fmt', 'rgb24', ...input,
+      // yuv420p needs even sides: pad with the background colour
+      '-vf', `pad=ceil(iw/2)*2:ceil(ih/2)*2:color=${hex(bg)}`,
+      '-c:v', 'libx264', '-pix_fmt', 'yuv420p', '-crf', String(crf ?? 23), '-movflags', '+faststart',
+    ];
+  }
+
+  await fs.mkdir(path.dirname(outPath), { recursive: true });
+  await runFfmpeg(['-hide_banner', '-loglevel', 'error', ...args, '-an', '-y', outPath], schedule.map(i => frames[i]));
+
+  const { size } = await fs.stat(outPath);
+  return { out: outPath, format, size, duration: Math.round((schedule.length * 1000) / fps), frame_count: schedule.length };
+}
+
+/** Local APNG (or static PNG) file -> one video file */
+export async function apngToVideo(apngPath, outPath, opts) {
+  return encodeVideo(await readApng(apngPath), outPath, opts);
+}
+
+/**
+ * Convenience: *_animation.png -> *_animation.webm + *_animation.mp4 next to it
+ * @param {string} apngFileAbs
+ * @param {VideoOptions & {formats?: ('webm'|'mp4')[]}} [opts]
+ * @returns {Promise<Record<'webm'|'mp4', VideoResult>>}
+ */
+export async function apngToVideoSiblings(apngFileAbs, { formats = VIDEO_FORMATS, ...opts } = {}) {
+  const model = await readApng(apngFileAbs);
+  const dir = path.dirname(apngFileAbs);
+  const base = path.basename(apngFileAbs, path.extname(apngFileAbs));
+  const results = {};
+  for (const format of formats) {
+    results[format] = await encodeVideo(model, path.join(dir, `${base}.${format}`), { ...opts, format });
+  }
+  return results;
+}
+
+/**
+ * sticker.json `video` block for the videos next to an APNG (WebM first: it keeps the alpha),
+ * or undefined when there are none.
+ * @param {{basePublicDir:string, basePublicUrl:string, apngRelPath:string}} args  apngRelPath relative to basePublicDir
+ */
+export async function videoJson({ basePublicDir, basePublicUrl, apngRelPath }) {
+  const sources = [];
+  for (const format of VIDEO_FORMATS) {
+    const rel = apngRelPath.replace(/\.[^./]+$/, `.${format}`);
+    const there = await fs.access(path.join(basePublicDir, rel)).then(() => true, () => false);
+    if (there) {
+      sources.push({
+        uri: (basePublicUrl + rel).replace(/([^:]\/)\/+/g, '$1'),
+        type: VIDEO_MIME[`.${format}`],
+        ...(format === 'webm' ? { alpha: true } : {}),
+      });
+    }
+  }
+  return sources.length ? { sources } : undefined;
+}
+
+/**
+ * Refresh the `video` block of an existing sticker.json after (re)making the videos,
+ * so it does not wait for the next sprite build. No-op when there is no sticker.json yet;
+ * a v1 file is upgraded and the result checked against the schema before it is written.
+ * @param {{jsonPath:string, basePublicDir:string, basePublicUrl:string, apngRelPath:string}} args
+ */
+export async function updateStickerJsonVideo({ jsonPath, ...args }) {
+  let sticker;
+  try {
+    sticker = await readStickerJson(jsonPath);
+  } catch {
+    return;
+  }
+  const video = await videoJson(args);
+  if (video) sticker.video = video;
+  else delete sticker.video;
+  assertSticker(sticker, jsonPath);
+  await fs.writeFile(jsonPath, JSON.stringify(sticker, null, 2), 'utf-8');
+}
@@ -1,59 +1,142 @@
 import sharp from 'sharp';
-import  UPNG from 'upng-js';
 
 import path from "path"
+import { promises as fs } from 'node:fs';
+import { scheduledFetch } from './helpers.js';
+import { decodeApng, frameDelays, readApng } from './apng-model.js';
 
-const { decode, toRGBA8 } = UPNG;
+/**
+ * Named encoder settings (sharp .webp() options). `high` is what every WebP used before profiles.
+ * lossless ignores quality; tiny also drops alpha precision.
+ */
+export const WEBP_PROFILES = {
+  lossless: { lossless: true, quality: 100, effort: 6 },
+  high: { quality: 90, effort: 4 },
+  balanced: { quality: 75, effort: 5 },
+  tiny: { quality: 50, effort: 6, alphaQuality: 80 },
+};
+export const DEFAULT_WEBP_PROFILE = 'high';
+
+// lowest quality the size-budget search goes down to
+const MIN_QUALITY = 10;
+
+/**
+ * @typedef {Object} WebpOptions
+ * @property {keyof WEBP_PROFILES} [profile='high']
+ * @property {number} [maxBytes]      size budget: lower the quality (lossless -> lossy) until the file fits
+ * @property {number} [minDelayMs=10] floor for per-frame delays (0 ms frames play too fast in some viewers)
+ * @property {number} [loop]          0 = infinite; default: the APNG's num_plays
+ */
+
+/**
+ * @typedef {Object} WebpResult
+ * @property {number} size  bytes
+ * @property {{profile:string, lossless:boolean, quality:number, effort:number, loop:number,
+ *             max_bytes?:number, over_budget?:boolean}} encoding  settings actually used
+ */
+
+/** Cache fingerprint for WebPs made with these options (profile + budget) */
+export function webpFingerprint({ profile = DEFAULT_WEBP_PROFILE, maxBytes } = {}) {
+  return maxBytes ? `${profile};max=${maxBytes}` : profile;
+}
 
 // Fetch APNG bytes
 
-const download = async (url, wPath) => {
-  const res = await fetch(url, { headers: { 'user-agent': 'Mozilla/5.0' } });
+const download = async (url, wPath, opts) => {
+  const res = await scheduledFetch(url, { headers: { 'user-agent': 'Mozilla/5.0' } });
   if (!res.ok) throw new Error(`HTTP ${res.status} fetching ${url}`);
   const ab = await res.arrayBuffer();
+  return encodeWebp(decodeApng(ab), wPath, opts);
+}
 
-  // Decode APNG -> frames (RGBA) + timing
-  const apng = decode(ab);
-  const rgbaFrames = toRGBA8(apng); // Array<ArrayBuffer>
-  const { width, height } = apng;
-  const n = rgbaFrames.length;
+/**
+ * Decoded APNG model (apng-model.js) -> animated WebP file
+ * @param {import('./apng-model.js').ApngModel} model
+ * @param {string} wPath
+ * @param {WebpOptions} [opts]
+ * @returns {Promise<WebpResult>}
+ */
+export const encodeWebp = async (model, wPath, {
+  profile = DEFAULT_WEBP_PROFILE,
+  maxBytes,
+  minDelayMs = 10,
+  loop = model.numPlays || 0,
+} = {}) => {
+  const base = WEBP_PROFILES[profile];
+  if (!base) throw new Error(`Unknown WebP profile "${profile}" (expected ${Object.keys(WEBP_PROFILES).join(', ')})`);
+
+  const { width, height } = model;
+  const n = model.frames.length;
 
   // Build per-frame delays in ms (ensure a sane minimum)
-  const delays = apng.frames.map(f => {
-    // UPNG usually provides f.delay in ms; fall back to delayNum/Den if needed
-    let ms = f.delay;
-    if (ms == null) {
-      const num = f.delayNum ?? 1;
-      const den = f.delayDen ?? 10; // APNG default is 1/100s units
-      ms = Math.round((num / den) * 1000);
-    }
-    return Math.max(10, ms); // avoid 0ms frames
-  });
+  const delays = frameDelays(model, minDelayMs);
 
   // Stack frames vertically into one raw RGBA buffer
   const frameSize = width * height * 4;
   const stacked = Buffer.alloc(frameSize * n);
   for (let i = 0; i < n; i++) {
-    Buffer.from(rgbaFrames[i]).copy(stacked, i * frameSize);
+    Buffer.from(model.frames[i].rgba.buffer, model.frames[i].rgba.byteOffset, frameSize).copy(stacked, i * frameSize);
   }
 
-  // Encode animated WebP
-  await sharp(stacked, { raw: { width, height: height * n, channels: 4 } })
-    .webp({
-      quality: 90,        // tweak as you like; use lossless:true for lossless
-      effort: 4,          // 0–6 encode effort
-      loop: 0,            // 0 = infinite
-      delay: delays,      // per-frame duration (ms)
-      pageHeight: height, // tells sharp each "page" (frame) height
-    })
-    .toFile(wPath);
+  // Encode animated WebP; raw.pageHeight tells sharp each "page" (frame) height
+  const encode = (settings) => sharp(stacked, { raw: { width, height: height * n, channels: 4, pageHeight: height } })
+    .webp({ ...settings, loop, delay: delays })
+    .toBuffer();
 
+  let settings = base;
+  let buf = await encode(settings);
+
+  // Over budget: binary-search the highest lossy quality that fits (below the profile's own quality)
+  if (maxBytes && buf.length > maxBytes) {
+    const lossy = { ...base, lossless: false };
+    let lo = MIN_QUALITY, hi = (base.lossless ? WEBP_PROFILES.high.quality : base.quality) - 1;
+    let best = null, smallest = null;
+    while (lo <= hi) {
+      const quality = Math.floor((lo + hi) / 2);
+      const out = await encode({ ...lossy, quality });
+      if (out.length <= maxBytes) {
+        best = { quality, out };
+        lo = quality + 1;
+      } else {
+        if (quality === MIN_QUALITY) smallest = { quality, out };
+        hi = quality - 1;
+      }
+    }
+    // nothing fits: keep the smallest we can make and flag it
+    const pick = best || smallest || { quality: MIN_QUALITY, out: await encode({ ...lossy, quality: MIN_QUALITY }) };
+    settings = { ...lossy, quality: pick.quality };
+    buf = pick.out;
+  }
+
+  await fs.writeFile(wPath, buf);
+  return {
+    size: buf.length,
+    encoding: {
+      profile,
+      lossless: !!settings.lossless,
+      quality: settings.quality,
+      effort: settings.effort,
+      loop,
+      ...(maxBytes ? { max_bytes: maxBytes } : {}),
+      ...(maxBytes && buf.length > maxBytes ? { over_budget: true } : {}),
+    },
+  };
 }
 
-/** Convenience: *_animation.png -> *_animation.gif next to it */
-export async function apngToWebpSibling(apngFileAbs, url) {
+/** Remote APNG URL -> animated WebP file */
+export async function apngUrlToWebp(url, wPath, opts) {
+  return download(url, wPath, opts);
+}
+
+/** Convenience: local *_animation.png -> *_animation.webp next to it (no network) */
+export async function apngToWebpSibling(apngFileAbs, opts) {
   const dir = path.dirname(apngFileAbs);
   const base = path.basename(apngFileAbs, path.extname(apngFileAbs));
   const wPath = path.join(dir, `${base}.webp`);
-  return download(url, wPath);
+  return apngFileToWebp(apngFileAbs, wPath, opts);
+}
+
+/** Local APNG file -> animated WebP (no network) */
+export async function apngFileToWebp(apngPath, outPath, opts) {
+  return encodeWebp(await readApng(apngPath), outPath, opts);
 }
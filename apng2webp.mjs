@@ -1,54 +1,28 @@
-import sharp from 'sharp';
-import   UPNG from 'upng-js';
-const { decode, toRGBA8 } = UPNG;
+import { scheduledFetch } from './helpers.js';
+import { decodeApng, frameDelays } from './apng-model.js';
+import { encodeWebp } from './apng2webp.js';
 
 const url = process.argv[2];
 const out = process.argv[3] || 'out.webp';
+const profile = process.argv[4];                                // lossless | high | balanced | tiny
+const maxBytes = process.argv[5] ? Number(process.argv[5]) : undefined; // size budget in bytes
 
 if (!url) {
-  console.error('Usage: node apng2webp.mjs <apng-url> [out.webp]');
+  console.error('Usage: node apng2webp.mjs <apng-url> [out.webp] [profile] [max-bytes]');
   process.exit(1);
 }
 
 // Fetch APNG bytes
-const res = await fetch(url, { headers: { 'user-agent': 'Mozilla/5.0' } });
+const res = await scheduledFetch(url, { headers: { 'user-agent': 'Mozilla/5.0' } });
 if (!res.ok) throw new Error(`HTTP ${res.status} fetching ${url}`);
 const ab = await res.arrayBuffer();
 
-// Decode APNG -> frames (RGBA) + timing
-const apng = decode(ab);
-const rgbaFrames = toRGBA8(apng); // Array<ArrayBuffer>
-const { width, height } = apng;
-const n = rgbaFrames.length;
+// Decode APNG -> frames (RGBA) + timing, then encode animated WebP
+const model = decodeApng(ab);
+const { size, encoding } = await encodeWebp(model, out, { profile, maxBytes });
 
-// Build per-frame delays in ms (ensure a sane minimum)
-const delays = apng.frames.map(f => {
-  // UPNG usually provides f.delay in ms; fall back to delayNum/Den if needed
-  let ms = f.delay;
-  if (ms == null) {
-    const num = f.delayNum ?? 1;
-    const den = f.delayDen ?? 10; // APNG default is 1/100s units
-    ms = Math.round((num / den) * 1000);
-  }
-  return Math.max(10, ms); // avoid 0ms frames
-});
-
-// Stack frames vertically into one raw RGBA buffer
-const frameSize = width * height * 4;
-const stacked = Buffer.alloc(frameSize * n);
-for (let i = 0; i < n; i++) {
-  Buffer.from(rgbaFrames[i]).copy(stacked, i * frameSize);
-}
-
-// Encode animated WebP
-await sharp(stacked, { raw: { width, height: height * n, channels: 4 } })
-  .webp({
-    quality: 90,        // tweak as you like; use lossless:true for lossless
-    effort: 4,          // 0–6 encode effort
-    loop: 0,            // 0 = infinite
-    delay: delays,      // per-frame duration (ms)
-    pageHeight: height, // tells sharp each "page" (frame) height
-  })
-  .toFile(out);
-
-console.log(`Saved ${out} (${n} frames, ${width}x${height}, delays=${delays.join(',')}ms)`);
+const { width, height } = model;
+const n = model.frames.length;
+const delays = frameDelays(model, 10);
+console.log(`Saved ${out} (${n} frames, ${width}x${height}, delays=${delays.join(',')}ms, loop=${encoding.loop})`);
+console.log(`  ${encoding.profile}: ${encoding.lossless ? 'lossless' : `quality ${encoding.quality}`}, ${size} bytes${encoding.over_budget ? ' (over budget)' : ''}`);
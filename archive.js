@@ -0,0 +1,138 @@
+// archive.js — in-memory .zip / .tar.gz writers for pack exports (node:zlib only)
+import { crc32, deflateRawSync, gzipSync } from 'node:zlib';
+
+/**
+ * @typedef {Object} ArchiveEntry
+ * @property {string} name   path inside the archive, '/' separated
+ * @property {Buffer} data
+ */
+
+export const ARCHIVE_FORMATS = ['zip', 'tar.gz'];
+
+/** 'pack.zip' -> 'zip', 'pack.tar.gz' / 'pack.tgz' -> 'tar.gz', anything else null */
+export function archiveFormatFor(file) {
+  if (/\.zip$/i.test(file)) return 'zip';
+  if (/\.(tar\.gz|tgz)$/i.test(file)) return 'tar.gz';
+  return null;
+}
+
+// already compressed: deflate would only cost time
+const STORED_RE = /\.(png|gif|webp|avif|jpe?g|webm|mp4|m4a|mp3|aac|ogg|opus)$/i;
+
+/** Date -> MS-DOS time / date words (local time, 2 s resolution, 1980 at the earliest) */
+function dosDateTime(date) {
+  const year = Math.max(1980, date.getFullYear());
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+/**
+ * Zip archive (no zip64: under 65535 entries and 4 GB, far above any sticker pack).
+ * Images and videos are stored, text is deflated; names are flagged UTF-8.
+ * @param {ArchiveEntry[]} entries
+ * @param {{date?: Date}} [opts]  modification time of every entry
+ * @returns {Buffer}
+ */
+export function zipArchive(entries, { date = new Date() } = {}) {
+  if (entries.length > 0xffff) throw new Error(`zip: too many entries (${entries.length})`);
+  const dos = dosDateTime(date);
+  const locals = [], centrals = [];
+  let offset = 0;
+
+  for (const { name, data } of entries) {
+    const nameBuf = Buffer.from(name, 'utf-8');
+    const stored = STORED_RE.test(name);
+    const body = stored ? data : deflateRawSync(data, { level: 9 });
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);        // version needed: 2.0
+    local.writeUInt16LE(0x0800, 6);    // UTF-8 names
+    local.writeUInt16LE(stored ? 0 : 8, 8);
+    local.writeUInt16LE(dos.time, 10);
+    local.writeUInt16LE(dos.date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);      // made by
+    central.writeUInt16LE(20, 6);      // needed
+    local.copy(central, 8, 6, 26);     // flags .. uncompressed size, same as the local header
+    central.writeUInt16LE(nameBuf.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuf, body);
+    centrals.push(central, nameBuf);
+    offset += local.length + nameBuf.length + body.length;
+    if (offset > 0xffffffff) throw new Error('zip: archive over 4 GB');
+  }
+
+  const cd = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(cd.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, cd, end]);
+}
+
+/** Octal, zero-padded, NUL-terminated tar header field */
+const octal = (n, len) => n.toString(8).padStart(len - 1, '0') + '\0';
+
+/** One ustar header; names over 100 bytes are split into prefix + name at a '/' */
+function tarHeader(name, size, mtime) {
+  const header = Buffer.alloc(512);
+  let prefix = '';
+  if (Buffer.byteLength(name) > 100) {
+    const cut = name.lastIndexOf('/', 155);
+    if (cut < 0 || Buffer.byteLength(name.slice(cut + 1)) > 100) throw new Error(`tar: path too long: ${name}`);
+    prefix = name.slice(0, cut);
+    name = name.slice(cut + 1);
+  }
+  header.write(name, 0, 100, 'utf-8');
+  header.write(octal(0o644, 8), 100, 'ascii');
+  header.write(octal(0, 8), 108, 'ascii');
+  header.write(octal(0, 8), 116, 'ascii');
+  header.write(octal(size, 12), 124, 'ascii');
+  header.write(octal(mtime, 12), 136, 'ascii');
+  header.write('        ', 148, 'ascii'); // checksum counts itself as spaces
+  header.write('0', 156, 'ascii');
+  header.write('ustar\0' + '00', 257, 'ascii');
+  header.write(prefix, 345, 155, 'utf-8');
+  let sum = 0;
+  for (const b of header) sum += b;
+  header.write(octal(sum, 7) + ' ', 148, 'ascii');
+  return header;
+}
+
+/**
+ * Gzipped ustar archive.
+ * @param {ArchiveEntry[]} entries
+ * @param {{date?: Date}} [opts]
+ * @returns {Buffer}
+ */
+export function tarGzArchive(entries, { date = new Date() } = {}) {
+  const mtime = Math.floor(date.getTime() / 1000);
+  const parts = [];
+  for (const { name, data } of entries) {
+    parts.push(tarHeader(name, data.length, mtime), data);
+    if (data.length % 512) parts.push(Buffer.alloc(512 - (data.length % 512)));
+  }
+  parts.push(Buffer.alloc(1024)); // two zero blocks end the archive
+  return gzipSync(Buffer.concat(parts), { level: 9 });
+}
+
+/** Archive in `format` (ARCHIVE_FORMATS) */
+export function writeArchive(format, entries, opts) {
+  if (format === 'zip') return zipArchive(entries, opts);
+  if (format === 'tar.gz') return tarGzArchive(entries, opts);
+  throw new Error(`Unknown archive format "${format}" (expected ${ARCHIVE_FORMATS.join(', ')})`);
+}
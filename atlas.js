@@ -0,0 +1,180 @@
+// atlas.js — trimmed + packed + deduplicated sprite atlases (alternative to the fixed `cols` grid)
+import { sha256 } from './sync-cache.js';
+
+/**
+ * Bounding box of the non-transparent pixels of one RGBA frame.
+ * A fully transparent frame keeps a 1×1 box at 0,0 (like TexturePacker) so it still has a rect.
+ * @returns {{x:number, y:number, w:number, h:number}}
+ */
+export function trimRect(rgba, width, height) {
+  let minX = width, minY = height, maxX = -1, maxY = -1;
+  for (let y = 0; y < height; y++) {
+    const row = y * width * 4;
+    for (let x = 0; x < width; x++) {
+      if (rgba[row + x * 4 + 3] === 0) continue;
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+    }
+  }
+  if (maxX < 0) return { x: 0, y: 0, w: 1, h: 1 };
+  return { x: minX, y: minY, w: maxX - minX + 1, h: maxY - minY + 1 };
+}
+
+/** Copy a w×h region out of (or into) a full RGBA buffer */
+export function cropRgba(rgba, width, { x, y, w, h }) {
+  const out = new Uint8Array(w * h * 4);
+  for (let r = 0; r < h; r++) {
+    const src = ((y + r) * width + x) * 4;
+    out.set(rgba.subarray(src, src + w * 4), r * w * 4);
+  }
+  return out;
+}
+
+export function blitRgba(dst, dstWidth, src, { x, y, w, h }) {
+  for (let r = 0; r < h; r++) {
+    dst.set(src.subarray(r * w * 4, (r + 1) * w * 4), ((y + r) * dstWidth + x) * 4);
+  }
+}
+
+/**
+ * Shelf bin-packing: tallest rects first, rows filled left to right up to a roughly square width;
+ * when a page would grow past maxSize the next shelf starts a new page.
+ * @param {{w:number, h:number}[]} sizes
+ * @param {{padding?: number, maxSize?: number}} [opts]  maxSize caps both sides of every page
+ * @returns {{pages:{width:number, height:number}[], positions:{page:number, x:number, y:number}[]}}  positions in input order
+ */
+export function packPages(sizes, { padding = 0, maxSize = 4096 } = {}) {
+  if (!sizes.length) return { pages: [], positions: [] };
+
+  const area = sizes.reduce((s, r) => s + (r.w + padding) * (r.h + padding), 0);
+  const widest = Math.max(...sizes.map(r => r.w));
+  const tallest = Math.max(...sizes.map(r => r.h));
+  if (widest > maxSize || tallest > maxSize) {
+    throw new Error(`Frame ${widest}×${tallest}px does not fit maxSize ${maxSize}`);
+  }
+  const width = Math.min(maxSize, Math.max(widest, Math.ceil(Math.sqrt(area))));
+
+  const order = sizes.map((r, i) => i).sort((a, b) => sizes[b].h - sizes[a].h || sizes[b].w - sizes[a].w);
+  const positions = new Array(sizes.length);
+  const pages = [{ width: 0, height: 0 }];
+  let x = 0, y = 0, shelfH = 0;
+  for (const i of order) {
+    const { w, h } = sizes[i];
+    if (x > 0 && x + w > width) {
+      y += shelfH + padding;
+      x = 0;
+      shelfH = 0;
+    }
+    if (y + h > maxSize) {
+      pages.push({ width: 0, height: 0 });
+      x = 0;
+      y = 0;
+      shelfH = 0;
+    }
+    const page = pages[pages.length - 1];
+    positions[i] = { page: pages.length - 1, x, y };
+    page.width = Math.max(page.width, x + w);
+    page.height = Math.max(page.height, y + h);
+    x += w + padding;
+    shelfH = Math.max(shelfH, h);
+  }
+
+  return { pages, positions };
+}
+
+/** packPages() restricted to a single page (throws when the rects need more than maxSize) */
+export function packRects(sizes, { padding = 0, maxSize = 4096 } = {}) {
+  const { pages, positions } = packPages(sizes, { padding, maxSize });
+  if (pages.length > 1) throw new Error(`Atlas needs more than one ${maxSize}×${maxSize}px page`);
+  return { width: pages[0]?.width ?? 0, height: pages[0]?.height ?? 0, positions };
+}
+
+/**
+ * Trim one frame and dedupe it against `cells` (shared across every frame added to the same atlas).
+ * @returns {{cell:number, rect:{x:number, y:number, w:number, h:number}}}
+ */
+export function addTrimmedCell(cells, byHash, rgba, width, height) {
+  const rect = trimRect(rgba, width, height);
+  const pixels = cropRgba(rgba, width, rect);
+  const key = `${rect.x},${rect.y},${rect.w},${rect.h}:${sha256(pixels)}`;
+  if (!byHash.has(key)) {
+    byHash.set(key, cells.length);
+    cells.push({ rect, pixels });
+  }
+  return { cell: byHash.get(key), rect };
+}
+
+/**
+ * Trim, dedupe and pack the frames of a decoded APNG (apng-model.js) into one atlas.
+ * @param {import('./apng-model.js').ApngModel} model
+ * @param {{padding?: number, maxSize?: number}} [opts]
+ * @returns {{width:number, height:number, rgba:Uint8Array, unique:number,
+ *            frames:{x:number, y:number, w:number, h:number, offset_x:number, offset_y:number, duration:number}[]}}
+ *   frames: one per source frame (duplicates share x/y), offset = trimmed box position inside the full frame
+ */
+export function buildAtlas(model, { padding = 0, maxSize = 4096 } = {}) {
+  const { width: fw, height: fh } = model;
+
+  const cells = [];       // unique trimmed images
+  const byHash = new Map();
+  const refs = model.frames.map((f) => ({
+    ...addTrimmedCell(cells, byHash, f.rgba, fw, fh),
+    duration: f.delay || 0,
+  }));
+
+  const { width, height, positions } = packRects(cells.map(c => c.rect), { padding, maxSize });
+  const rgba = new Uint8Array(width * height * 4);
+  cells.forEach((c, i) => blitRgba(rgba, width, c.pixels, { ...positions[i], w: c.rect.w, h: c.rect.h }));
+
+  const frames = refs.map(({ cell, rect, duration }) => ({
+    x: positions[cell].x,
+    y: positions[cell].y,
+    w: rect.w,
+    h: rect.h,
+    offset_x: rect.x,
+    offset_y: rect.y,
+    duration,
+  }));
+
+  return { width, height, rgba, unique: cells.length, frames };
+}
+
+/**
+ * TexturePacker "JSON (Hash)" for an atlas — loads as-is in Phaser (atlas), PixiJS (Spritesheet)
+ * and other TexturePacker-compatible engines. `animations` lists the frame names in play order.
+ * @param {object} args
+ * @param {string} args.name        animation name; frames are "<name>_<index>"
+ * @param {string} args.image       atlas image file name (relative to the json)
+ * @param {{width:number, height:number, frames:object[]}} args.atlas  buildAtlas() result
+ * @param {{width:number, height:number}} args.sourceSize               untrimmed frame size
+ */
+export function texturePackerJson({ name, image, atlas, sourceSize }) {
+  const frames = {};
+  const names = atlas.frames.map((f, i) => {
+    const frameName = `${name}_${i}`;
+    frames[frameName] = {
+      frame: { x: f.x, y: f.y, w: f.w, h: f.h },
+      rotated: false,
+      trimmed: f.w !== sourceSize.width || f.h !== sourceSize.height,
+      spriteSourceSize: { x: f.offset_x, y: f.offset_y, w: f.w, h: f.h },
+      sourceSize: { w: sourceSize.width, h: sourceSize.height },
+      duration: f.duration,
+    };
+    return frameName;
+  });
+
+  return {
+    frames,
+    animations: { [name]: names },
+    meta: {
+      app: 'https://github.com/godchu/blog-assets',
+      version: '1.0',
+      image,
+      format: 'RGBA8888',
+      size: { w: atlas.width, h: atlas.height },
+      scale: '1',
+    },
+  };
+}
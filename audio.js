@@ -0,0 +1,47 @@
+// audio.js — sticker sound tracks (m4a/mp3 from LINE) -> open formats
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import path from 'node:path';
+
+const execFileP = promisify(execFile);
+
+export const AUDIO_EXT_RE = /\.(m4a|mp3|aac)$/i;
+export const OPEN_AUDIO_EXT_RE = /\.(ogg|opus)$/i;
+
+export const AUDIO_MIME = {
+  '.m4a': 'audio/mp4',
+  '.aac': 'audio/aac',
+  '.mp3': 'audio/mpeg',
+  '.ogg': 'audio/ogg; codecs=opus',
+  '.opus': 'audio/ogg; codecs=opus',
+};
+
+export const isAudioUrl = (u) => AUDIO_EXT_RE.test(new URL(u).pathname);
+
+/**
+ * Transcode an audio file to Ogg/Opus next to it (<base>.ogg) with ffmpeg.
+ * Resolves null when ffmpeg is not installed, so callers can keep the original only.
+ * @param {string} audioFileAbs
+ * @param {{bitrate?: string}} [opts]
+ * @returns {Promise<{out:string, codec:'opus'}|null>}
+ */
+export async function transcodeAudioSibling(audioFileAbs, { bitrate = '64k' } = {}) {
+  const dir = path.dirname(audioFileAbs);
+  const base = path.basename(audioFileAbs, path.extname(audioFileAbs));
+  const out = path.join(dir, `${base}.ogg`);
+
+  const args = [
+    '-hide_banner', '-loglevel', 'error',
+    '-i', audioFileAbs,
+    '-vn', '-c:a', 'libopus', '-b:a', bitrate,
+    '-y', out,
+  ];
+  try {
+    await execFileP('ffmpeg', args, { windowsHide: true });
+  } catch (e) {
+    if (e?.code === 'ENOENT') return null; // ffmpeg not installed
+    const err = e?.stderr?.toString?.() || e?.message || '';
+    throw new Error(`ffmpeg audio transcode failed for ${audioFileAbs}: ${err}`);
+  }
+  return { out, codec: 'opus' };
+}
@@ -0,0 +1,129 @@
+// catalog.js
+import path from 'path';
+import { promises as fs } from 'node:fs';
+import { BASE_PUBLIC_URL, toPublicUrl } from './helpers.js';
+import { PACKS_DIR, PACK_MANIFEST } from './manifest.js';
+
+export const CATALOG_FILE = 'index.json';
+export const DEFAULT_PAGE_SIZE = 24;
+
+const PAGE_FILE_RE = /^index-(\d+)\.json$/;
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/** Emoji product ids are 24-char hex, sticker product ids are numeric */
+function guessKind(packId) {
+  return /^[0-9a-f]{24}$/i.test(packId) ? 'emoji' : 'sticker';
+}
+
+/**
+ * One catalog row from a pack.json manifest.
+ * Thumbnail: the first sticker's static PNG (APNG when it has none).
+ */
+export function catalogEntry(manifest, { basePublicUrl = BASE_PUBLIC_URL } = {}) {
+  const relPackDir = `${PACKS_DIR}/${manifest.id}`;
+  const first = manifest.stickers?.[0];
+  const thumbnail = first?.static?.uri || first?.apng?.uri || null;
+
+  return {
+    id: manifest.id,
+    title: manifest.name || manifest.id,
+    kind: manifest.product_type || guessKind(manifest.id),
+    animated: manifest.has_animation ?? (manifest.stickers || []).some(s => s.animated),
+    sticker_count: manifest.sticker_count ?? manifest.stickers?.length ?? 0,
+    thumbnail,
+    manifest: toPublicUrl(`${relPackDir}/${PACK_MANIFEST}`, basePublicUrl),
+    store_url: manifest.store_url ?? null,
+    imported_at: manifest.imported_at ?? null,
+  };
+}
+
+/** Newest imports first, id as tie-breaker so output is stable */
+function sortEntries(entries) {
+  return entries.sort((a, b) =>
+    String(b.imported_at || '').localeCompare(String(a.imported_at || '')) || a.id.localeCompare(b.id));
+}
+
+/**
+ * Write line-packs-v2/index.json (every pack) plus index-<n>.json pages of `pageSize` packs when
+ * they do not fit on one page; `pages` is empty otherwise. Stale page files from a previous,
+ * longer catalog are removed.
+ */
+export async function writeCatalog(entries, {
+  pageSize = DEFAULT_PAGE_SIZE,
+  basePublicUrl = BASE_PUBLIC_URL,
+  cwd = process.cwd(),
+} = {}) {
+  const absDir = path.join(cwd, PACKS_DIR);
+  const packs = sortEntries([...entries]);
+  const pageCount = Math.max(1, Math.ceil(packs.length / pageSize));
+  const pageName = (n) => `index-${n}.json`;
+  const pageFiles = pageCount > 1 ? pageCount : 0; // one page: index.json already holds it
+
+  for (let n = 1; n <= pageFiles; n++) {
+    const page = {
+      page: n,
+      page_count: pageCount,
+      page_size: pageSize,
+      total: packs.length,
+      prev: n > 1 ? toPublicUrl(`${PACKS_DIR}/${pageName(n - 1)}`, basePublicUrl) : null,
+      next: n < pageCount ? toPublicUrl(`${PACKS_DIR}/${pageName(n + 1)}`, basePublicUrl) : null,
+      packs: packs.slice((n - 1) * pageSize, n * pageSize),
+    };
+    await fs.writeFile(path.join(absDir, pageName(n)), JSON.stringify(page, null, 2), 'utf-8');
+  }
+
+  for (const name of await fs.readdir(absDir)) {
+    const m = name.match(PAGE_FILE_RE);
+    if (m && Number(m[1]) > pageFiles) await fs.unlink(path.join(absDir, name));
+  }
+
+  // giữ updated_at nếu danh sách không đổi -> re-run không tạo diff
+  const catalogPath = path.join(absDir, CATALOG_FILE);
+  const prev = await readJson(catalogPath);
+  const unchanged = prev?.page_size === pageSize && JSON.stringify(prev.packs) === JSON.stringify(packs);
+
+  const catalog = {
+    updated_at: unchanged ? prev.updated_at : new Date().toISOString(),
+    total: packs.length,
+    page_size: pageSize,
+    pages: Array.from({ length: pageFiles }, (_, i) => toPublicUrl(`${PACKS_DIR}/${pageName(i + 1)}`, basePublicUrl)),
+    packs,
+  };
+  await fs.writeFile(catalogPath, JSON.stringify(catalog, null, 2), 'utf-8');
+  return { catalog, catalogPath };
+}
+
+/**
+ * Incremental update: upsert one pack's row into the existing index.json.
+ * @param {object} manifest  pack.json content (see manifest.js)
+ */
+export async function updateCatalog(manifest, opts = {}) {
+  const cwd = opts.cwd || process.cwd();
+  const prev = await readJson(path.join(cwd, PACKS_DIR, CATALOG_FILE));
+  const entry = await catalogEntry(manifest, opts);
+
+  const entries = (prev?.packs || []).filter(p => p.id !== entry.id);
+  entries.push(entry);
+  return writeCatalog(entries, { ...opts, pageSize: opts.pageSize ?? prev?.page_size });
+}
+
+/** Full rebuild from every line-packs-v2/<packId>/pack.json on disk */
+export async function rebuildCatalog(opts = {}) {
+  const cwd = opts.cwd || process.cwd();
+  const absDir = path.join(cwd, PACKS_DIR);
+  const dirs = (await fs.readdir(absDir, { withFileTypes: true })).filter(e => e.isDirectory());
+
+  const entries = [];
+  for (const dir of dirs) {
+    const manifest = await readJson(path.join(absDir, dir.name, PACK_MANIFEST));
+    if (manifest) entries.push(await catalogEntry(manifest, opts));
+  }
+  return writeCatalog(entries, opts);
+}
@@ -0,0 +1,624 @@
+#!/usr/bin/env node
+// cli.js
+import path from 'path';
+import { promises as fs } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { importPack, buildPackSprites, getPackInfo, packFrames, storeUrlForPack } from './index.js';
+import { apngToGif, gifBackends } from './apng2gif.v2.js';
+import { GIF_DITHERS, GIF_PALETTES, parseColor } from './apng2gif.js';
+import { WEBP_PROFILES, apngFileToWebp } from './apng2webp.js';
+import { PACKS_DIR, writePackManifest } from './manifest.js';
+import { rebuildCatalog, updateCatalog } from './catalog.js';
+import { downloads } from './helpers.js';
+import { DEFAULT_DERIVATIVES, rebuildPacks } from './rebuild.js';
+import { apngToAvif } from './apng2avif.js';
+import { apngToVideo } from './apng2video.js';
+import { buildPackAtlas } from './pack-atlas.js';
+import { verifyTree } from './verify.js';
+import { exportPack } from './export.js';
+import { TELEGRAM_SET_FILE, buildTelegramSet } from './telegram.js';
+import { PUBLISH_TARGETS, createPublisher, publishPack, publisherOptionsFromEnv } from './publish.js';
+
+const USAGE = `Usage:
+  blog-assets import <store-url...> [--file urls.txt] [--layout v2|simple] [--sprite] [--force]
+                     [--cols 8] [--padding 0] [--label <text>] [--pack-name <text>]
+                     [--frame-rate-only] [--atlas] [--pack-atlas] [--max-size 4096]
+                     [--skip-gif] [--gif-backend <name>] [--gif-exclude <names>] [gif encoder options]
+                     [--webp-profile <name>] [--webp-budget <size>] [--avif] [--avif-quality <n>]
+                     [--video] [--video-background <#rrggbb>] [--video-fps <n>]
+                     [--sizes 32,64,128] [--densities 1,2]
+  blog-assets sprite <packId> [--url <store-url>] [--cols 8] [--padding 0]
+                     [--label <text>] [--pack-name <text>] [--frame-rate-only] [--atlas]
+  blog-assets convert <file> --to gif|webp|avif|webm|mp4 [--out <file>] [--gif-backend <name>] [--gif-exclude <names>] [gif encoder options]
+                     [--webp-profile <name>] [--webp-budget <size>] [--avif-quality <n>]
+                     [--video-background <#rrggbb>] [--video-fps <n>]
+  blog-assets manifest [packId...] [--pack-name <text>]
+  blog-assets catalog [--page-size 24]
+  blog-assets atlas [packId...] [--max-size 4096] [--padding 2] [--force]
+  blog-assets rebuild [packId...] [--only webp,gif,sprite,ogg,avif,video,sizes] [--force] [--dry-run]
+                     [--cols <n>] [--padding <n>] [--label <text>] [--pack-name <text>]
+                     [--frame-rate-only] [--atlas] [--gif-backend <name>] [--gif-exclude <names>] [gif encoder options]
+                     [--webp-profile <name>] [--webp-budget <size>] [--avif-quality <n>]
+                     [--video-background <#rrggbb>] [--video-fps <n>] [--sizes 32,64,128] [--densities 1,2]
+  blog-assets verify [dir...] [--out <report.json>]
+  blog-assets publish [packId...]
+  blog-assets export <packId> [--out <pack.zip|pack.tar.gz>] [--formats png,apng,gif,webp] [--preset telegram,discord,slack]
+  blog-assets telegram <packId> [--out <dir>] [--bot <username>] [--pack-name <title>] [--emoji <emoji>]
+                     [--emoji-map <emojis.json>] [--static-format webp|png] [--video-fps <n>]
+  any but convert:  [--target github-raw|jsdelivr|github-pages|local|s3] [--base-url <url>] [--repo <owner/name>] [--ref <branch>]
+                    [--publish-dir <dir>] [--s3-endpoint <url>] [--s3-bucket <name>] [--s3-region <name>] [--s3-prefix <key prefix>]
+
+Options:
+  -f, --file <path>     read store URLs from a file (one per line, # for comments)
+  --layout <name>       v2 (line-packs-v2, default) or simple (line-packs-simple)
+  --sprite              import: also build spritesheet.png + sticker.json (v2 only)
+  --force               import/rebuild/atlas: ignore caches, re-download and re-convert everything
+  --url <store-url>     sprite: store page to scrape (default: derived from packId)
+  --cols <n>            frames per sprite row (default 8)
+  --padding <px>        gap between sprite frames (default 0; atlas: 2)
+  --label <text>        sticker.json label (default: "<pack title> <stickerId>")
+  --pack-name <text>    sticker.json / pack.json pack name (default: scraped title)
+  --frame-rate-only     sticker.json: only frame_count/frame_rate, no per-frame frames[] /
+                        loop_count / total_duration
+  --atlas               sprites: trim transparent borders, bin-pack and dedupe frames; also writes
+                        a TexturePacker JSON hash (spritesheet.json) for Phaser / PixiJS
+  --pack-atlas          import: also build the pack-wide atlas (see the atlas command)
+  --max-size <px>       atlas: max width/height of each atlas-<n>.png page (default 4096)
+  --to <format>         convert: gif, webp, avif, webm or mp4
+  --skip-gif            import: do not convert APNGs to GIF
+  --gif-backend <name>  GIF: only use this backend (ffmpeg, gifwrap or apng2gif)
+  --gif-exclude <names> GIF: comma-separated backends to skip (default order: ffmpeg → gifwrap → apng2gif)
+  gif encoder options (gifwrap backend):
+  --gif-matte <#rrggbb> blend semi-transparent pixels onto this colour (default: keep their colour)
+  --gif-alpha-threshold <n>  alpha below n becomes transparent (default 128; 0 = none, use with --gif-matte)
+  --gif-dither <mode>   bayer (default, like ffmpeg), floyd-steinberg or none
+  --gif-palette <mode>  global (default: one palette for all frames) or local (one per frame)
+  --webp-profile <name> WebP: lossless, high (default), balanced or tiny
+  --webp-budget <size>  WebP: max bytes per sticker, e.g. 100000, 64k or 1m; quality is lowered until it fits
+  --avif                import: also write <name>.avif next to every PNG (animated AVIF needs ffmpeg)
+  --avif-quality <n>    AVIF quality 1..100 (default 50)
+  --video               import: also write <name>.webm (VP9 + alpha) and <name>.mp4 (H.264) next to
+                        every APNG and list them in sticker.json (needs ffmpeg)
+  --video-background <#rrggbb>  MP4 background colour (default #ffffff; WebM keeps the alpha)
+  --video-fps <n>       video frame rate (default 30)
+  --sizes <widths>      import: also write downscaled copies (PNG + WebP/GIF/AVIF next to it) to
+                        sizes/<name>-<w>w.* and list them as srcset; rebuild --only sizes: widths (default 32,64,128)
+  --densities <list>    pixel densities for --sizes, e.g. 1,2 (default: @1x and @2x)
+  -o, --out <file>      convert: output path (default: sibling of <file>); verify: write the JSON report
+                        there instead of stdout; export: .zip (default <packId>.zip) or .tar.gz;
+                        telegram: folder (default telegram/<packId>)
+  --formats <list>      export: files to bundle as they are: png, apng, gif, webp, avif, webm, mp4, sound
+                        (default png,apng,gif,webp; none with --preset)
+  --preset <list>       export: re-encode for telegram (512 px WebP / WebM ≤ 3 s, ≤ 256 KB), discord
+                        (PNG / APNG ≤ 320 px, ≤ 512 KB) or slack (128 px PNG / GIF ≤ 128 KB); stickers over
+                        the limits are left out and reported (exit code 1)
+  --bot <username>      telegram: bot that creates the set; set.json gets name line_<packId>_by_<bot>
+  --emoji <emoji>       telegram: emoji for stickers missing from --emoji-map (default 🙂)
+  --emoji-map <file>    telegram: JSON {"<stickerId>": "😀" | ["😀", "😂"]}
+  --static-format <f>   telegram: webp (default) or png for stickers without animation
+  --page-size <n>       catalog: packs per index-<n>.json page, written when they do not fit on one (default 24)
+  --only <kinds>        rebuild: comma-separated derivatives to check (default: all but avif, video and sizes)
+  --dry-run             rebuild: list what is missing or stale, write nothing
+  --target <name>       where the files are served from; sets every URL written to sticker.json / pack.json /
+                        index.json: github-raw (default), jsdelivr, github-pages, local (copy to --publish-dir)
+                        or s3. import and rebuild upload what they wrote to local / s3, publish uploads packs
+                        already on disk (refused while their JSON has another target's URLs: rebuild --only sprite
+                        with the same --target rewrites it). Env: BLOG_ASSETS_TARGET, BLOG_ASSETS_BASE_URL, S3_ENDPOINT, S3_BUCKET,
+                        S3_REGION, S3_PREFIX, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY (keys only from the env)
+  --base-url <url>      public URL of the repo root on the target (custom domain, CDN in front of a bucket)
+  --repo <owner/name>   github-raw / jsdelivr / github-pages repository (default godchu/blog-assets)
+  --ref <branch>        github-raw / jsdelivr branch or tag (default main)
+  --publish-dir <dir>   local: folder to copy the files to (default public; served at --base-url, default /)
+  --s3-endpoint <url>   s3: endpoint, e.g. http://localhost:9000 for MinIO (default AWS)
+  --s3-bucket <name>    s3: bucket
+  --s3-region <name>    s3: region (default us-east-1)
+  --s3-prefix <prefix>  s3: key prefix for every file
+  --concurrency <n>     max parallel downloads (default 6)
+  --retries <n>         retries per download on network errors / 429 / 5xx (default 3)
+  --timeout <ms>        per-attempt download timeout (default 30000)
+  -h, --help            show this help
+`;
+
+const OPTIONS = {
+  file: { type: 'string', short: 'f', multiple: true },
+  layout: { type: 'string', default: 'v2' },
+  sprite: { type: 'boolean', default: false },
+  force: { type: 'boolean', default: false },
+  url: { type: 'string' },
+  cols: { type: 'string' },
+  padding: { type: 'string' },
+  label: { type: 'string' },
+  'pack-name': { type: 'string' },
+  'frame-rate-only': { type: 'boolean', default: false },
+  atlas: { type: 'boolean', default: false },
+  'pack-atlas': { type: 'boolean', default: false },
+  'max-size': { type: 'string' },
+  'skip-gif': { type: 'boolean', default: false },
+  'gif-backend': { type: 'string' },
+  'gif-exclude': { type: 'string' },
+  'gif-matte': { type: 'string' },
+  'gif-alpha-threshold': { type: 'string' },
+  'gif-dither': { type: 'string' },
+  'gif-palette': { type: 'string' },
+  'webp-profile': { type: 'string' },
+  'webp-budget': { type: 'string' },
+  avif: { type: 'boolean', default: false },
+  'avif-quality': { type: 'string' },
+  video: { type: 'boolean', default: false },
+  'video-background': { type: 'string' },
+  'video-fps': { type: 'string' },
+  sizes: { type: 'string' },
+  densities: { type: 'string' },
+  to: { type: 'string' },
+  out: { type: 'string', short: 'o' },
+  'page-size': { type: 'string' },
+  only: { type: 'string' },
+  formats: { type: 'string' },
+  bot: { type: 'string' },
+  emoji: { type: 'string' },
+  'emoji-map': { type: 'string' },
+  'static-format': { type: 'string' },
+  preset: { type: 'string' },
+  'dry-run': { type: 'boolean', default: false },
+  target: { type: 'string' },
+  'base-url': { type: 'string' },
+  repo: { type: 'string' },
+  ref: { type: 'string' },
+  'publish-dir': { type: 'string' },
+  's3-endpoint': { type: 'string' },
+  's3-bucket': { type: 'string' },
+  's3-region': { type: 'string' },
+  's3-prefix': { type: 'string' },
+  concurrency: { type: 'string' },
+  retries: { type: 'string' },
+  timeout: { type: 'string' },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+function toInt(value, name) {
+  if (value == null) return undefined;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) throw new Error(`--${name} must be a non-negative integer, got "${value}"`);
+  return n;
+}
+
+function spriteOptions(values) {
+  return {
+    cols: toInt(values.cols, 'cols'),
+    padding: toInt(values.padding, 'padding'),
+    label: values.label,
+    packName: values['pack-name'],
+    frameData: !values['frame-rate-only'],
+    spriteLayout: values.atlas ? 'atlas' : undefined,
+  };
+}
+
+function gifOptions(values) {
+  const exclude = values['gif-exclude']?.split(',').map(s => s.trim()).filter(Boolean);
+  const opts = {
+    backend: values['gif-backend'],
+    exclude,
+    matte: values['gif-matte'],
+    alphaThreshold: toInt(values['gif-alpha-threshold'], 'gif-alpha-threshold'),
+    dither: values['gif-dither'],
+    palette: values['gif-palette'],
+  };
+  // validate names up front
+  gifBackends(opts);
+  if (opts.matte != null) parseColor(opts.matte);
+  if (opts.dither != null && !GIF_DITHERS.includes(opts.dither)) {
+    throw new Error(`--gif-dither must be one of ${GIF_DITHERS.join(', ')}, got "${opts.dither}"`);
+  }
+  if (opts.palette != null && !GIF_PALETTES.includes(opts.palette)) {
+    throw new Error(`--gif-palette must be one of ${GIF_PALETTES.join(', ')}, got "${opts.palette}"`);
+  }
+  return opts;
+}
+
+/** "64k" / "1.5m" / "100000" -> bytes */
+function toBytes(value, name) {
+  if (value == null) return undefined;
+  const m = /^(\d+(?:\.\d+)?)\s*([km]?)b?$/i.exec(String(value).trim());
+  if (!m) throw new Error(`--${name} must be a size like 100000, 64k or 1m, got "${value}"`);
+  const n = Math.round(Number(m[1]) * ({ '': 1, k: 1024, m: 1024 * 1024 })[m[2].toLowerCase()]);
+  if (n < 1) throw new Error(`--${name} must be at least 1 byte`);
+  return n;
+}
+
+function webpOptions(values) {
+  const profile = values['webp-profile'];
+  if (profile != null && !WEBP_PROFILES[profile]) {
+    throw new Error(`--webp-profile must be one of ${Object.keys(WEBP_PROFILES).join(', ')}, got "${profile}"`);
+  }
+  return { profile, maxBytes: toBytes(values['webp-budget'], 'webp-budget') };
+}
+
+function avifOptions(values) {
+  return { quality: toInt(values['avif-quality'], 'avif-quality') };
+}
+
+function videoOptions(values) {
+  const background = values['video-background'];
+  if (background != null) parseColor(background); // validate up front
+  const fps = toInt(values['video-fps'], 'video-fps');
+  if (fps === 0) throw new Error('--video-fps must be at least 1');
+  return { background, fps };
+}
+
+/** Publisher from the environment, flags on top */
+function publisherFrom(values) {
+  const env = publisherOptionsFromEnv();
+  const target = values.target ?? env.target;
+  if (target != null && !PUBLISH_TARGETS.includes(target)) {
+    throw new Error(`--target must be one of ${PUBLISH_TARGETS.join(', ')}, got "${target}"`);
+  }
+  return createPublisher({
+    target,
+    baseUrl: values['base-url'] ?? env.baseUrl,
+    repo: values.repo ?? env.repo,
+    ref: values.ref ?? env.ref,
+    dir: values['publish-dir'] ?? env.dir,
+    prefix: values['s3-prefix'] ?? env.prefix,
+    s3: {
+      ...env.s3,
+      endpoint: values['s3-endpoint'] ?? env.s3.endpoint,
+      bucket: values['s3-bucket'] ?? env.s3.bucket,
+      region: values['s3-region'] ?? env.s3.region,
+    },
+  });
+}
+
+/** "3 uploaded, 120 unchanged, 0 failed" + one line per failure */
+function printPublished(published, indent = '   ') {
+  console.log(`${indent}publish: ${published.uploaded.length} uploaded, ${published.unchanged} unchanged, ${published.failed.length} failed`);
+  for (const f of published.failed) console.error(`${indent}❌ ${f.file}: ${f.error}`);
+}
+
+/** "32,64,128" -> [32, 64, 128]; undefined when not given */
+function toNumberList(value, name) {
+  if (value == null) return undefined;
+  const list = String(value).split(',').map(s => s.trim()).filter(Boolean).map(Number);
+  if (!list.length || list.some(n => !(n > 0))) throw new Error(`--${name} must be comma-separated positive numbers, got "${value}"`);
+  return list;
+}
+
+function sizesOptions(values) {
+  return { sizes: toNumberList(values.sizes, 'sizes'), densities: toNumberList(values.densities, 'densities') };
+}
+
+/** "high, quality 90, 12345 bytes" */
+const formatWebp = ({ size, encoding: e }) =>
+  `${e.lossless ? e.profile : `${e.profile}, quality ${e.quality}`}, ${size} bytes${e.over_budget ? ` — over the ${e.max_bytes}-byte budget` : ''}`;
+
+/** "gifwrap 38, apng2gif 2" */
+const formatBackends = (byBackend) =>
+  Object.entries(byBackend).map(([name, n]) => `${name} ${n}`).join(', ') || 'none';
+
+/** Read store URLs from text files: one per line, blank lines and # comments ignored */
+async function readUrlFiles(files = []) {
+  const urls = [];
+  for (const file of files) {
+    const text = await fs.readFile(file, 'utf-8');
+    for (const line of text.split(/\r?\n/)) {
+      const trimmed = line.trim();
+      if (trimmed && !trimmed.startsWith('#')) urls.push(trimmed);
+    }
+  }
+  return urls;
+}
+
+async function cmdImport(args, values) {
+  const urls = [...args, ...(await readUrlFiles(values.file))];
+  if (urls.length === 0) throw new Error('import: no store URLs given');
+  const publisher = publisherFrom(values);
+
+  let failures = 0;
+  for (const url of urls) {
+    try {
+      const res = await importPack(url, {
+        layout: values.layout,
+        sprite: values.sprite,
+        force: values.force,
+        packAtlas: values['pack-atlas'],
+        atlasMaxSize: toInt(values['max-size'], 'max-size'),
+        gif: !values['skip-gif'],
+        gifOptions: gifOptions(values),
+        webpOptions: webpOptions(values),
+        avif: values.avif,
+        avifOptions: avifOptions(values),
+        video: values.video,
+        videoOptions: videoOptions(values),
+        sizes: values.sizes != null,
+        sizesOptions: sizesOptions(values),
+        publisher,
+        ...spriteOptions(values),
+      });
+      console.log(`✅ ${res.packId}: ${res.saved.length} saved, ${res.failed.length} failed → ${res.baseDir}`);
+      if (res.gifs) {
+        console.log(`   GIF: ${formatBackends(res.gifs.by_backend)}; ${res.gifs.failed.length} failed`);
+        for (const f of res.gifs.failed) console.error(`   ❌ ${f.file}: ${f.error}`);
+      }
+      if (res.published) printPublished(res.published);
+      if (res.failed.length || res.gifs?.failed.length || res.published?.failed.length) failures++;
+    } catch (e) {
+      failures++;
+      console.error(`❌ ${url}: ${e?.message || e}`);
+    }
+  }
+  return failures ? 1 : 0;
+}
+
+async function cmdSprite(args, values) {
+  const [packId] = args;
+  if (!packId) throw new Error('sprite: <packId> is required');
+
+  const url = values.url || storeUrlForPack(packId);
+  const { pack, stickers } = await getPackInfo(url);
+  if (pack?.productId !== packId) throw new Error(`sprite: ${url} is not product ${packId}`);
+  const frames = packFrames(packId, stickers);
+  const { baseUrl: basePublicUrl } = publisherFrom(values);
+  const { count } = await buildPackSprites(packId, frames, { pack, basePublicUrl, ...spriteOptions(values) });
+  const { manifest } = await writePackManifest(packId, {
+    storeUrl: pack.storeUrl,
+    packName: values['pack-name'],
+    pack,
+    stickerIds: frames.map(f => f.id),
+    basePublicUrl,
+  });
+  await updateCatalog(manifest, { basePublicUrl });
+  console.log(`✅ ${packId}: ${count} sprite(s) built`);
+  return 0;
+}
+
+/** (Re)write pack.json for the given packs, or every pack under line-packs-v2 */
+async function cmdManifest(args, values) {
+  let packIds = args;
+  if (packIds.length === 0) {
+    const entries = await fs.readdir(PACKS_DIR, { withFileTypes: true });
+    packIds = entries.filter(e => e.isDirectory()).map(e => e.name).sort();
+  }
+
+  const { baseUrl: basePublicUrl } = publisherFrom(values);
+  for (const packId of packIds) {
+    const { manifest, manifestPath } = await writePackManifest(packId, { packName: values['pack-name'], basePublicUrl });
+    await updateCatalog(manifest, { basePublicUrl });
+    console.log(`✅ ${packId}: ${manifest.sticker_count} sticker(s) → ${manifestPath}`);
+  }
+  return 0;
+}
+
+/** Pack-wide atlas-<n>.png + atlas.json for the given packs, or every pack under line-packs-v2 */
+async function cmdAtlas(args, values) {
+  const maxSize = toInt(values['max-size'], 'max-size');
+  if (maxSize === 0) throw new Error('--max-size must be at least 1');
+  let packIds = args;
+  if (packIds.length === 0) {
+    const entries = await fs.readdir(PACKS_DIR, { withFileTypes: true });
+    packIds = entries.filter(e => e.isDirectory()).map(e => e.name).sort();
+  }
+
+  const { baseUrl: basePublicUrl } = publisherFrom(values);
+  for (const packId of packIds) {
+    const { atlas, atlasPath, skipped } = await buildPackAtlas(packId, {
+      maxSize,
+      padding: toInt(values.padding, 'padding'),
+      force: values.force,
+      basePublicUrl,
+    });
+    if (!skipped) {
+      const { manifest } = await writePackManifest(packId, { basePublicUrl });
+      await updateCatalog(manifest, { basePublicUrl });
+    }
+    const pages = atlas.images.map(i => `${i.width}×${i.height}`).join(', ');
+    console.log(`✅ ${packId}: ${Object.keys(atlas.stickers).length} sticker(s), ${atlas.unique_frame_count}/${atlas.frame_count} unique frame(s) in ${pages}${skipped ? ' (unchanged)' : ''} → ${atlasPath}`);
+  }
+  return 0;
+}
+
+/** Rebuild line-packs-v2/index.json (+ pages) from every pack.json */
+async function cmdCatalog(args, values) {
+  const pageSize = toInt(values['page-size'], 'page-size');
+  if (pageSize === 0) throw new Error('--page-size must be at least 1');
+  const { catalog, catalogPath } = await rebuildCatalog({ pageSize, basePublicUrl: publisherFrom(values).baseUrl });
+  console.log(`✅ ${catalog.total} pack(s), ${Math.max(1, catalog.pages.length)} page(s) → ${catalogPath}`);
+  return 0;
+}
+
+/**
+ * Check line-packs-v2, animated, nikki and novel (or the given dirs): JSON report on stdout (or --out),
+ * exit code 1 when anything is wrong
+ */
+async function cmdVerify(args, values) {
+  const { baseUrl: basePublicUrl } = publisherFrom(values);
+  const report = await verifyTree({ basePublicUrl, ...(args.length ? { roots: args } : {}) });
+  const json = JSON.stringify(report, null, 2);
+  if (values.out) await fs.writeFile(values.out, json + '\n', 'utf-8');
+  else console.log(json);
+
+  const { files, images, json: jsonFiles, urls } = report.checked;
+  const codes = Object.entries(report.by_code).map(([code, n]) => `${code} ${n}`).join(', ');
+  console.error(`${report.ok ? '✅' : '❌'} ${files} file(s), ${images} image(s), ${jsonFiles} JSON, ${urls} URL(s): `
+    + (report.ok ? 'no problems' : `${report.problem_count} problem(s) (${codes})`));
+  return report.ok ? 0 : 1;
+}
+
+async function cmdExport(args, values) {
+  const [packId] = args;
+  if (!packId) throw new Error('export: <packId> is required');
+  const list = (v) => v.split(',').map(s => s.trim()).filter(Boolean);
+  const res = await exportPack(packId, {
+    out: values.out,
+    ...(values.formats ? { formats: list(values.formats) } : {}),
+    ...(values.preset ? { presets: list(values.preset) } : {}),
+  });
+  const fileCount = res.manifest.stickers.reduce((n, s) => n + s.files.length, 0);
+  console.log(`✅ ${res.out} (${res.format}, ${(res.size / 1024).toFixed(1)} KB): ${res.manifest.sticker_count} stickers, ${fileCount} files`);
+  for (const r of res.rejected) {
+    console.log(`   ⚠️  ${r.preset} ${r.id} (${r.format}): ${r.problems.map(p => `${p.code}: ${p.message}`).join('; ')}`);
+  }
+  return res.rejected.length ? 1 : 0;
+}
+
+/** Telegram sticker set folder (files + set.json for the bot) from a pack on disk, no network */
+async function cmdTelegram(args, values) {
+  const [packId] = args;
+  if (!packId) throw new Error('telegram: <packId> is required');
+  const emojis = values['emoji-map'] ? JSON.parse(await fs.readFile(values['emoji-map'], 'utf-8')) : {};
+  const { set, setPath } = await buildTelegramSet(packId, {
+    out: values.out,
+    bot: values.bot,
+    title: values['pack-name'],
+    emojis,
+    defaultEmoji: values.emoji,
+    staticFormat: values['static-format'],
+    fps: videoOptions(values).fps,
+  });
+  const videos = set.stickers.filter(s => s.format === 'video').length;
+  console.log(`${set.left_out.length ? '⚠️ ' : '✅'} ${setPath}: "${set.title}", ${set.sticker_count} stickers (${videos} video, ${set.sticker_count - videos} static), ${set.left_out.length} left out`);
+  for (const s of set.stickers) if (s.speed > 1) console.log(`   ${s.sticker}: sped up ×${s.speed} to fit 3 s`);
+  for (const l of set.left_out) console.log(`   ❌ ${l.id}: ${l.problems.map(p => `${p.code}: ${p.message}`).join('; ')}`);
+  if (!set.name) console.log(`   no --bot: add "name" (…_by_<bot username>) to ${TELEGRAM_SET_FILE} before creating the set`);
+  return set.left_out.length ? 1 : 0;
+}
+
+/** Regenerate missing / stale derivatives from files already on disk (no network) */
+async function cmdRebuild(args, values) {
+  const only = values.only ? values.only.split(',').map(s => s.trim()).filter(Boolean) : DEFAULT_DERIVATIVES;
+  const publisher = publisherFrom(values);
+  const results = await rebuildPacks(args, {
+    only,
+    force: values.force,
+    dryRun: values['dry-run'],
+    gifOptions: gifOptions(values),
+    webpOptions: webpOptions(values),
+    avifOptions: avifOptions(values),
+    videoOptions: videoOptions(values),
+    sizesOptions: sizesOptions(values),
+    basePublicUrl: publisher.baseUrl,
+    ...spriteOptions(values),
+  });
+
+  let failures = 0;
+  for (const { packId, built, fresh, skipped, failed } of results) {
+    const verb = values['dry-run'] ? 'to rebuild' : 'rebuilt';
+    console.log(`${failed.length ? '❌' : '✅'} ${packId}: ${built.length} ${verb}, ${fresh} up to date, ${skipped.length} skipped, ${failed.length} failed`);
+    for (const b of built) if (values['dry-run']) console.log(`   ${b.kind.padEnd(6)} ${b.outs.join(', ')}`);
+    const byBackend = {};
+    for (const b of built) if (b.backend) byBackend[b.backend] = (byBackend[b.backend] || 0) + 1;
+    if (Object.keys(byBackend).length) console.log(`   GIF: ${formatBackends(byBackend)}`);
+    for (const b of built) if (b.over_budget) console.log(`   ⚠️  ${b.outs[0]}: ${b.over_budget} bytes, over the WebP budget`);
+    for (const s of skipped) console.log(`   ⚠️  ${s.kind} ${s.src}: ${s.reason}`);
+    for (const f of failed) console.error(`   ❌ ${f.kind} ${f.src}: ${f.error}`);
+    if (failed.length) failures++;
+    if (publisher.uploads && !values['dry-run']) {
+      const published = await publishPack(packId, { publisher });
+      printPublished(published);
+      if (published.failed.length) failures++;
+    }
+  }
+  return failures ? 1 : 0;
+}
+
+async function cmdPublish(args, values) {
+  const publisher = publisherFrom(values);
+  if (!publisher.uploads) {
+    console.log(`${publisher.target}: files are served from the git repo at ${publisher.baseUrl}, publish with git push`);
+    return 0;
+  }
+  let packIds = args;
+  if (packIds.length === 0) {
+    const entries = await fs.readdir(PACKS_DIR, { withFileTypes: true });
+    packIds = entries.filter(e => e.isDirectory()).map(e => e.name).sort();
+  }
+
+  let failures = 0;
+  for (const packId of packIds) {
+    const published = await publishPack(packId, { publisher });
+    console.log(`${published.failed.length ? '❌' : '✅'} ${packId} → ${publisher.baseUrl}`);
+    printPublished(published);
+    if (published.failed.length) failures++;
+  }
+  return failures ? 1 : 0;
+}
+
+async function cmdConvert(args, values) {
+  const [file] = args;
+  if (!file) throw new Error('convert: <file> is required');
+  const to = (values.to || '').toLowerCase();
+  if (!['gif', 'webp', 'avif', 'webm', 'mp4'].includes(to)) throw new Error('convert: --to must be gif, webp, avif, webm or mp4');
+
+  const src = path.resolve(file);
+  const out = values.out
+    ? path.resolve(values.out)
+    : path.join(path.dirname(src), `${path.basename(src, path.extname(src))}.${to}`);
+
+  if (to === 'gif') {
+    const { backend, warnings, size, frame_count } = await apngToGif(src, out, gifOptions(values));
+    for (const w of warnings) console.warn(`   ⚠️  ${w.backend}: ${w.message}`);
+    console.log(`✅ ${out} (${backend}, ${frame_count} frame(s), ${size} bytes)`);
+    return 0;
+  }
+
+  if (to === 'webm' || to === 'mp4') {
+    const { size, duration, frame_count } = await apngToVideo(src, out, { ...videoOptions(values), format: to });
+    console.log(`✅ ${out} (${frame_count} frame(s), ${duration} ms, ${size} bytes)`);
+    return 0;
+  }
+
+  if (to === 'avif') {
+    const res = await apngToAvif(src, out, avifOptions(values));
+    if (!res) throw new Error('convert: animated AVIF needs ffmpeg (with libaom), which is not installed');
+    console.log(`✅ ${out} (${res.animated ? 'animated' : 'still'}, ${res.encoding.encoder}, quality ${res.encoding.quality}, ${res.size} bytes)`);
+    return 0;
+  }
+
+  const res = await apngFileToWebp(src, out, webpOptions(values));
+  console.log(`✅ ${out} (${formatWebp(res)})`);
+  return 0;
+}
+
+const COMMANDS = {
+  import: cmdImport,
+  sprite: cmdSprite,
+  convert: cmdConvert,
+  manifest: cmdManifest,
+  catalog: cmdCatalog,
+  rebuild: cmdRebuild,
+  atlas: cmdAtlas,
+  verify: cmdVerify,
+  publish: cmdPublish,
+  export: cmdExport,
+  telegram: cmdTelegram,
+};
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  const [command, ...args] = positionals;
+
+  if (values.help || !command) {
+    console.log(USAGE);
+    return values.help ? 0 : 1;
+  }
+
+  const run = COMMANDS[command];
+  if (!run) throw new Error(`Unknown command: ${command}`);
+
+  const concurrency = toInt(values.concurrency, 'concurrency');
+  if (concurrency === 0) throw new Error('--concurrency must be at least 1');
+  downloads.configure({
+    concurrency,
+    retries: toInt(values.retries, 'retries'),
+    timeoutMs: toInt(values.timeout, 'timeout'),
+  });
+
+  return run(args, values);
+}
+
+main(process.argv.slice(2)).then(
+  (code) => { process.exitCode = code; },
+  (e) => {
+    console.error(e?.message || e);
+    console.error(USAGE);
+    process.exitCode = 1;
+  },
+);
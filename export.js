@@ -0,0 +1,274 @@
+// export.js — download a whole pack: .zip / .tar.gz of one line-packs-v2 pack in chosen formats + platform presets
+import path from 'path';
+import os from 'node:os';
+import { promises as fs } from 'node:fs';
+import { readApng } from './apng-model.js';
+import { encodeWebp } from './apng2webp.js';
+import { encodeGif } from './apng2gif.js';
+import { TELEGRAM_LIMITS, encodeTelegramVideo } from './telegram.js';
+import { encodePng, fitLongestSide, resizeModel } from './responsive.js';
+import { PACKS_DIR, PACK_MANIFEST, scanStickerVariants } from './manifest.js';
+import { archiveFormatFor, writeArchive } from './archive.js';
+
+const sanitize = (s) => String(s || '').replace(/[^a-zA-Z0-9._-]/g, '_');
+
+/** Files copied as they are on disk: export format -> scanStickerVariants kind */
+export const EXPORT_FORMATS = {
+  png: 'static',
+  apng: 'apng',
+  gif: 'gif',
+  webp: 'webp',
+  avif: 'avif',
+  webm: 'webm',
+  mp4: 'mp4',
+  sound: 'sound',
+};
+export const DEFAULT_EXPORT_FORMATS = ['png', 'apng', 'gif', 'webp'];
+
+/**
+ * Re-upload presets: each sticker is resized so its longest side is `side` (`maxSide`: only stickers
+ * larger than that are scaled down, smaller ones keep their size), encoded with the `animated` spec
+ * when it has an APNG (else `static`), then checked against the platform limits.
+ *   telegram  one side exactly 512 px; static WebP (quality lowered to fit), video sticker VP9 WebM
+ *             (resampled, sped up to 3 s and re-encoded smaller until it fits, see telegram.js; needs ffmpeg)
+ *   discord   at most 320 px, PNG / APNG
+ *   slack     128 px emoji, PNG / GIF
+ */
+export const EXPORT_PRESETS = {
+  telegram: {
+    side: TELEGRAM_LIMITS.side,
+    static: { format: 'webp', maxBytes: TELEGRAM_LIMITS.staticMaxBytes },
+    animated: {
+      format: 'webm',
+      maxBytes: TELEGRAM_LIMITS.videoMaxBytes,
+      maxDurationMs: TELEGRAM_LIMITS.videoMaxDurationMs,
+      fps: TELEGRAM_LIMITS.videoMaxFps,
+    },
+  },
+  discord: {
+    side: 320,
+    maxSide: true,
+    static: { format: 'png', maxBytes: 512 * 1024 },
+    animated: { format: 'apng', maxBytes: 512 * 1024 },
+  },
+  slack: {
+    side: 128,
+    static: { format: 'png', maxBytes: 128 * 1024 },
+    animated: { format: 'gif', maxBytes: 128 * 1024 },
+  },
+};
+
+const EXT = { webp: 'webp', webm: 'webm', png: 'png', apng: 'png', gif: 'gif' };
+
+/**
+ * @typedef {Object} ExportProblem
+ * @property {string} code     encode_failed | over_bytes | over_duration | bad_size
+ * @property {string} message
+ */
+
+/**
+ * @typedef {Object} ExportResult
+ * @property {string} out             archive path
+ * @property {'zip'|'tar.gz'} format
+ * @property {number} size            archive bytes
+ * @property {object} manifest        pack.json written into the archive
+ * @property {{id:string, preset:string, format:string, problems:ExportProblem[]}[]} rejected
+ */
+
+const kb = (n) => `${Math.round(n / 1024)} KB`;
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+async function listDirs(dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+  return entries.filter(e => e.isDirectory()).map(e => e.name).sort();
+}
+
+/** One sticker for one preset spec -> {data, duration} (WebP / WebM go through a temp file) */
+async function encodeForSpec(model, spec, tmpFile) {
+  if (spec.format === 'webp') {
+    await encodeWebp(model, tmpFile, { maxBytes: spec.maxBytes });
+    return { data: await fs.readFile(tmpFile) };
+  }
+  if (spec.format === 'webm') {
+    const res = await encodeTelegramVideo(model, tmpFile, spec);
+    return { data: await fs.readFile(tmpFile), duration: res.duration };
+  }
+  if (spec.format === 'gif') return { data: await encodeGif(model) };
+  return { data: await encodePng(model) };
+}
+
+/** Limits of a spec that `file` breaks ([] = compliant) */
+function checkLimits(file, spec, side, maxSide) {
+  const problems = [];
+  const longest = Math.max(file.width, file.height);
+  if (maxSide ? longest > side : longest !== side) {
+    problems.push({ code: 'bad_size', message: `${file.width}×${file.height}, longest side must be ${maxSide ? 'at most ' : ''}${side} px` });
+  }
+  if (spec.maxBytes && file.size > spec.maxBytes) {
+    problems.push({ code: 'over_bytes', message: `${kb(file.size)} > ${kb(spec.maxBytes)}` });
+  }
+  if (spec.maxDurationMs && file.duration > spec.maxDurationMs) {
+    problems.push({ code: 'over_duration', message: `${file.duration} ms > ${spec.maxDurationMs} ms` });
+  }
+  return problems;
+}
+
+/** Preset limits as they go into the exported pack.json */
+const specJson = (spec) => ({
+  format: spec.format,
+  ...(spec.maxBytes ? { max_bytes: spec.maxBytes } : {}),
+  ...(spec.maxDurationMs ? { max_duration_ms: spec.maxDurationMs } : {}),
+  ...(spec.fps ? { fps: spec.fps } : {}),
+});
+
+/** README.txt: what is in the archive, for people who never open pack.json */
+function readmeText(manifest) {
+  const lines = [
+    manifest.name || manifest.id,
+    ...(manifest.author ? [`by ${manifest.author}`] : []),
+    ...(manifest.store_url ? [manifest.store_url] : []),
+    '',
+    `${manifest.sticker_count} stickers, exported ${manifest.exported_at}`,
+    '',
+  ];
+  for (const f of manifest.formats) lines.push(`${f}/`.padEnd(12) + `${f} files as published`);
+  for (const [name, p] of Object.entries(manifest.presets)) {
+    const describe = (s) => [s.format, s.max_bytes && `≤ ${kb(s.max_bytes)}`, s.max_duration_ms && `≤ ${s.max_duration_ms / 1000} s`]
+      .filter(Boolean).join(' ');
+    lines.push(`${name}/`.padEnd(12) + `${p.max_side ? '≤ ' : ''}${p.side} px; static: ${describe(p.static)}; animated: ${describe(p.animated)}`);
+  }
+  if (manifest.rejected.length) {
+    lines.push('', 'Left out (over the platform limits or could not be converted):');
+    for (const r of manifest.rejected) lines.push(`  ${r.preset} ${r.id}: ${r.problems.map(p => p.message).join('; ')}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Bundle line-packs-v2/<packId> into one archive:
+ *   <packId>/pack.json               pack metadata, every file with its size, rejected stickers
+ *   <packId>/README.txt
+ *   <packId>/<format>/<id>.<ext>     files as they are on disk (formats)
+ *   <packId>/<preset>/<id>.<ext>     re-encoded for the platform (presets); stickers over the limits are left out
+ * Popup overlays are not exported.
+ *
+ * @param {string} packId
+ * @param {object} [opts]
+ * @param {string} [opts.out='<packId>.zip']  .zip, .tar.gz or .tgz
+ * @param {string[]} [opts.formats]  keys of EXPORT_FORMATS (default: png, apng, gif, webp; none when presets are given)
+ * @param {string[]} [opts.presets]  keys of EXPORT_PRESETS
+ * @param {Date} [opts.date]         exported_at + archive timestamps
+ * @param {string} [opts.cwd]
+ * @returns {Promise<ExportResult>}
+ */
+export async function exportPack(packId, {
+  out,
+  presets = [],
+  formats = presets.length ? [] : DEFAULT_EXPORT_FORMATS,
+  date = new Date(),
+  cwd = process.cwd(),
+} = {}) {
+  for (const f of formats) {
+    if (!EXPORT_FORMATS[f]) throw new Error(`Unknown export format "${f}" (expected ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+  }
+  for (const p of presets) {
+    if (!EXPORT_PRESETS[p]) throw new Error(`Unknown export preset "${p}" (expected ${Object.keys(EXPORT_PRESETS).join(', ')})`);
+  }
+  if (!formats.length && !presets.length) throw new Error('export: nothing to export (no formats, no presets)');
+
+  const id = sanitize(packId);
+  const outPath = path.resolve(cwd, out || `${id}.zip`);
+  const archiveFormat = archiveFormatFor(outPath);
+  if (!archiveFormat) throw new Error(`export: ${out} must end with .zip, .tar.gz or .tgz`);
+
+  const absPackDir = path.join(cwd, PACKS_DIR, id);
+  const onDisk = await listDirs(absPackDir);
+  if (!onDisk.length) throw new Error(`Pack not found or empty: ${PACKS_DIR}/${id}`);
+  const pack = (await readJson(path.join(absPackDir, PACK_MANIFEST))) || {};
+  const ids = pack.stickers?.length ? pack.stickers.map(s => s.id).filter(s => onDisk.includes(s)) : onDisk;
+
+  const entries = [];
+  const stickers = [];
+  const rejected = [];
+  const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'blog-assets-export-'));
+  try {
+    for (const stickerId of ids) {
+      const { popup, ...variants } = await scanStickerVariants(path.join(absPackDir, stickerId), { cwd });
+      const files = [];
+
+      for (const format of formats) {
+        const v = variants[EXPORT_FORMATS[format]];
+        if (!v) continue;
+        const name = `${format}/${stickerId}${path.extname(v.abs).toLowerCase()}`;
+        const data = await fs.readFile(v.abs);
+        entries.push({ name: `${id}/${name}`, data });
+        files.push({ path: name, format, ...(v.width ? { width: v.width, height: v.height } : {}), size: data.length });
+      }
+
+      const src = variants.apng || variants.static;
+      if (presets.length && src) {
+        const model = await readApng(src.abs);
+        for (const preset of presets) {
+          const { side, maxSide, ...specs } = EXPORT_PRESETS[preset];
+          const spec = model.animated ? specs.animated : specs.static;
+          const [width, height] = maxSide && Math.max(model.width, model.height) <= side
+            ? [model.width, model.height]
+            : fitLongestSide(model.width, model.height, side);
+          const name = `${preset}/${stickerId}.${EXT[spec.format]}`;
+          let file, problems;
+          try {
+            const sized = width === model.width && height === model.height ? model : await resizeModel(model, width, height);
+            const { data, duration } = await encodeForSpec(sized, spec, path.join(tmpDir, `${preset}-${stickerId}.${EXT[spec.format]}`));
+            file = { path: name, format: spec.format, preset, width, height, size: data.length, ...(duration ? { duration } : {}), data };
+            problems = checkLimits(file, spec, side, maxSide);
+          } catch (e) {
+            problems = [{ code: 'encode_failed', message: e?.message || String(e) }];
+          }
+          if (problems.length) {
+            rejected.push({ id: stickerId, preset, format: spec.format, problems });
+            continue;
+          }
+          const { data, ...meta } = file;
+          entries.push({ name: `${id}/${name}`, data });
+          files.push(meta);
+        }
+      }
+      stickers.push({ id: stickerId, animated: !!variants.apng, files });
+    }
+  } finally {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  }
+
+  const manifest = {
+    id: String(packId),
+    name: pack.name ?? null,
+    author: pack.author ?? null,
+    description: pack.description ?? null,
+    store_url: pack.store_url ?? null,
+    exported_at: date.toISOString(),
+    formats,
+    presets: Object.fromEntries(presets.map(p => {
+      const { side, maxSide, static: s, animated: a } = EXPORT_PRESETS[p];
+      return [p, { side, ...(maxSide ? { max_side: true } : {}), static: specJson(s), animated: specJson(a) }];
+    })),
+    sticker_count: stickers.length,
+    stickers,
+    rejected,
+  };
+  entries.unshift(
+    { name: `${id}/${PACK_MANIFEST}`, data: Buffer.from(JSON.stringify(manifest, null, 2), 'utf-8') },
+    { name: `${id}/README.txt`, data: Buffer.from(readmeText(manifest), 'utf-8') },
+  );
+
+  const archive = writeArchive(archiveFormat, entries, { date });
+  await fs.mkdir(path.dirname(outPath), { recursive: true });
+  await fs.writeFile(outPath, archive);
+  return { out: outPath, format: archiveFormat, size: archive.length, manifest, rejected };
+}
@@ -1,12 +1,14 @@
 import path from 'path';
 
 import { promises as fs } from 'node:fs';
+import { sha256 } from './sync-cache.js';
 
 
 const UA =
   'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome Safari';
 
 // helpers (đặt cùng file utils.js hoặc chỗ chung)
+// default URL prefix (github-raw target); the CLI picks another one with --target (publish.js)
 export const BASE_PUBLIC_URL = 'https://raw.githubusercontent.com/godchu/blog-assets/refs/heads/main/';
 
 export function urlParts(u) {
@@ -25,18 +27,232 @@ export function localPathForUrl_V2(packId, stickerId, fileUrl) {
     .replaceAll('\\', '/'); // ensure forward slashes on Windows
 }
 
+// Popup / effect overlay của sticker: thư mục + tên file cố định, không theo tên file CDN
+// line-packs-v2/<packId>/<stickerId>/<stickerId>_popup/<stickerId>_popup.png
+export function popupBaseName(stickerId) {
+  return `${sanitize(String(stickerId))}_popup`;
+}
+
 function sanitize(segment) {
   return segment.replace(/[^a-zA-Z0-9._-]/g, '_');
 }
 
+// ---- download scheduler: concurrency + per-host rate limit + retry/backoff + timeout
+
+const RETRY_STATUS = new Set([408, 425, 429, 500, 502, 503, 504]);
+const NULL_BODY_STATUS = new Set([101, 103, 204, 205, 304]);
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+/** Retry-After: delta-seconds or HTTP date -> ms (null if absent/invalid) */
+function retryAfterMs(res) {
+  const v = res.headers.get('retry-after');
+  if (!v) return null;
+  if (/^\d+$/.test(v.trim())) return Number(v) * 1000;
+  const at = Date.parse(v);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+/**
+ * @typedef {Object} SchedulerOptions
+ * @property {number} [concurrency=6]        max requests in flight (all hosts)
+ * @property {number} [hostIntervalMs=100]   min gap between request starts to the same host
+ * @property {number} [retries=3]            extra attempts on network errors / 408 / 429 / 5xx
+ * @property {number} [baseDelayMs=500]      backoff base: random(0, base * 2^attempt), "full jitter"
+ * @property {number} [maxDelayMs=15000]     backoff + Retry-After cap
+ * @property {number} [timeoutMs=30000]      per attempt, headers + body
+ */
+
+/**
+ * Create a download scheduler. `fetch()` resolves with a fully buffered Response
+ * (the timeout covers the body too); non-retryable HTTP errors are returned as-is
+ * so callers keep their own `if (!res.ok)` handling.
+ * @param {SchedulerOptions} [opts]
+ */
+export function createScheduler(opts = {}) {
+  const cfg = {
+    concurrency: 6,
+    hostIntervalMs: 100,
+    retries: 3,
+    baseDelayMs: 500,
+    maxDelayMs: 15000,
+    timeoutMs: 30000,
+  };
+  const nextStart = new Map(); // host -> earliest start time (ms)
+  const waiting = [];
+  let active = 0;
+
+  function configure(next = {}) {
+    for (const [k, v] of Object.entries(next)) if (v != null) cfg[k] = v;
+    return { ...cfg };
+  }
+  configure(opts);
+
+  async function acquire() {
+    if (active < cfg.concurrency) {
+      active++;
+      return;
+    }
+    await new Promise(resolve => waiting.push(resolve));
+  }
+
+  function release() {
+    const next = waiting.shift();
+    if (next) next();
+    else active--;
+  }
+
+  async function hostSlot(host) {
+    const now = Date.now();
+    const at = Math.max(now, nextStart.get(host) || 0);
+    nextStart.set(host, at + cfg.hostIntervalMs);
+    if (at > now) await sleep(at - now);
+  }
+
+  async function attempt(url, init) {
+    const ctrl = new AbortController();
+    const timer = setTimeout(() => ctrl.abort(new Error(`Timeout after ${cfg.timeoutMs}ms: ${url}`)), cfg.timeoutMs);
+    const onAbort = () => ctrl.abort(init.signal.reason);
+    init.signal?.addEventListener('abort', onAbort, { once: true });
+    try {
+      const res = await fetch(url, { ...init, signal: ctrl.signal });
+      const body = await res.arrayBuffer();
+      return new Response(NULL_BODY_STATUS.has(res.status) ? null : body, {
+        status: res.status,
+        statusText: res.statusText,
+        headers: res.headers,
+      });
+    } finally {
+      clearTimeout(timer);
+      init.signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  async function scheduledFetch(url, init = {}) {
+    const host = new URL(url).host;
+    for (let i = 0; ; i++) {
+      let res;
+      let error;
+      await acquire();
+      try {
+        await hostSlot(host);
+        res = await attempt(url, init);
+      } catch (e) {
+        error = e;
+      } finally {
+        release();
+      }
+
+      if (init.signal?.aborted) throw init.signal.reason ?? error;
+      const retryable = error || RETRY_STATUS.has(res.status);
+      if (!retryable) return res;
+      if (i >= cfg.retries) {
+        if (error) throw error;
+        return res;
+      }
+
+      const backoff = Math.random() * Math.min(cfg.maxDelayMs, cfg.baseDelayMs * 2 ** i);
+      const hinted = res ? retryAfterMs(res) : null;
+      await sleep(hinted != null ? Math.min(hinted, cfg.maxDelayMs) : backoff);
+    }
+  }
+
+  return { fetch: scheduledFetch, configure };
+}
+
+/** Shared scheduler for every download in this repo */
+export const downloads = createScheduler();
+
+/** fetch() through the shared scheduler */
+export function scheduledFetch(url, init) {
+  return downloads.fetch(url, init);
+}
 
-export async function downloadTo(fileUrl, absDir) {
+/**
+ * Download `fileUrl` into absDir/<filename>.
+ * With a sync cache (see sync-cache.js): sends If-None-Match / If-Modified-Since and
+ * leaves the file untouched on 304 or when the new bytes hash the same.
+ * @returns {Promise<{absFile:string, filename:string, changed:boolean, sha256:string|null}>}
+ */
+export async function downloadTo(fileUrl, absDir, { filename = urlParts(fileUrl).filename, cache } = {}) {
   await fs.mkdir(absDir, { recursive: true });
-  const { filename } = urlParts(fileUrl);
-  const res = await fetch(fileUrl, { headers: { 'user-agent': UA }, cache: 'no-store' });
-  if (!res.ok) throw new Error(`Fetch failed ${fileUrl}: ${res.status}`);
-  const ab = await res.arrayBuffer();
   const absFile = path.join(absDir, filename);
-  await fs.writeFile(absFile, Buffer.from(ab));
-  return { absFile, filename };
+  const conditional = cache ? await cache.conditionalHeaders(fileUrl, absFile) : {};
+
+  const res = await scheduledFetch(fileUrl, { headers: { 'user-agent': UA, ...conditional }, cache: 'no-store' });
+  if (res.status === 304 && cache) {
+    return { absFile, filename, changed: false, sha256: cache.hashOf(absFile) };
+  }
+  if (!res.ok) throw new Error(`Fetch failed ${fileUrl}: ${res.status}`);
+  const buf = Buffer.from(await res.arrayBuffer());
+  if (!cache) {
+    await fs.writeFile(absFile, buf);
+    return { absFile, filename, changed: true, sha256: null };
+  }
+
+  const hash = sha256(buf);
+  const onDisk = await fs.readFile(absFile).then(sha256, () => null);
+  const changed = onDisk !== hash;
+  if (changed) await fs.writeFile(absFile, buf);
+
+  cache.record(absFile, {
+    url: fileUrl,
+    etag: res.headers.get('etag'),
+    lastModified: res.headers.get('last-modified'),
+    hash,
+  });
+  return { absFile, filename, changed, sha256: hash };
+}
+
+/**
+ * Promise.all(items.map(fn)) with at most `limit` calls of fn in flight; results keep the item order.
+ * For work that holds files / decoded frames in memory (uploads, conversions), where the download
+ * scheduler above does not help.
+ */
+export async function mapPool(items, limit, fn) {
+  const results = new Array(items.length);
+  let i = 0;
+  async function worker() {
+    while (i < items.length) {
+      const idx = i++;
+      results[idx] = await fn(items[idx], idx);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return results;
+}
+
+/** Absolute public URL for a repo-relative path (collapses duplicate slashes) */
+export function toPublicUrl(relPath, basePublicUrl = BASE_PUBLIC_URL) {
+  return (basePublicUrl + String(relPath).replaceAll('\\', '/')).replace(/([^:]\/)\/+/g, '$1');
+}
+
+const PNG_SIG = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+export const isPngSig = (buf) => buf?.length >= 8 && buf.subarray(0, 8).equals(PNG_SIG);
+
+/**
+ * Read PNG/APNG header info without decoding pixels.
+ * @param {Buffer} buf
+ * @returns {{width:number, height:number, frameCount:number, numPlays:number, animated:boolean}}
+ */
+export function readPngInfo(buf) {
+  if (!isPngSig(buf)) throw new Error('Not a PNG signature');
+  const info = { width: 0, height: 0, frameCount: 1, numPlays: 0, animated: false };
+  let off = 8;
+  while (off + 8 <= buf.length) {
+    const len = buf.readUInt32BE(off);
+    const type = buf.toString('latin1', off + 4, off + 8);
+    const data = off + 8;
+    if (type === 'IHDR') {
+      info.width = buf.readUInt32BE(data);
+      info.height = buf.readUInt32BE(data + 4);
+    } else if (type === 'acTL') {
+      info.frameCount = buf.readUInt32BE(data);
+      info.numPlays = buf.readUInt32BE(data + 4);
+      info.animated = true;
+    } else if (type === 'IDAT' || type === 'IEND') {
+      break; // acTL must come before IDAT
+    }
+    off = data + len + 4; // + CRC
+  }
+  return info;
 }
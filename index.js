@@ -1,11 +1,21 @@
 // utils.js
 import * as cheerio from 'cheerio';
 import path from 'path';
+import os from 'node:os';
 import { promises as fs } from 'node:fs';
 import { buildSpriteForPackV2 } from './apng2frame.v2.js';
-import { BASE_PUBLIC_URL, downloadTo, urlParts } from './helpers.js';
-import { apngToGifSibling } from './apng2gif.v2.js';
-import { apngToWebpSibling } from './apng2webp.js';
+import { BASE_PUBLIC_URL, downloadTo, mapPool, popupBaseName, scheduledFetch, urlParts } from './helpers.js';
+import { apngToGifSibling, gifFingerprint } from './apng2gif.v2.js';
+import { apngToWebpSibling, webpFingerprint } from './apng2webp.js';
+import { apngToAvifSibling, avifFingerprint } from './apng2avif.js';
+import { apngToVideoSiblings, isFfmpegMissing, updateStickerJsonVideo, VIDEO_FORMATS } from './apng2video.js';
+import { buildResponsiveSizes, responsiveFingerprint, responsiveOutputs, updateStickerJsonSrcset } from './responsive.js';
+import { createPublisher, publishPack } from './publish.js';
+import { writePackManifest } from './manifest.js';
+import { updateCatalog } from './catalog.js';
+import { isAudioUrl, transcodeAudioSibling } from './audio.js';
+import { openSyncCache } from './sync-cache.js';
+import { buildPackAtlas } from './pack-atlas.js';
 
 /**
  * Clean a LINE store URL:
@@ -18,11 +28,57 @@ function cleanUrl(raw) {
   return pieces[pieces.length - 1] || '';
 }
 
+/**
+ * Parse product kind + id from any LINE store link:
+ * - https://store.line.me/(sticker|emoji|theme)shop/product/<id>[/<lang>]
+ * - https://line.me/S/sticker/<id>, https://line.me/S/emoji?id=<id>, https://line.me/S/shop/theme/detail?id=<id>
+ * - line://shop/detail/<id>, line://shop/sticker/detail/<id>
+ * Returns null for links that need a redirect to resolve (e.g. lin.ee short links).
+ * @param {string} raw
+ * @returns {{kind:'sticker'|'emoji'|'theme', productId:string, storeUrl:string}|null}
+ */
+export function parseStoreUrl(raw) {
+  let url;
+  try {
+    url = new URL(cleanUrl(raw));
+  } catch {
+    return null;
+  }
+  const p = url.pathname;
+  const q = url.searchParams.get('id');
+  let kind = null;
+  let productId = null;
+  let m;
+
+  if ((m = p.match(/\/(sticker|emoji|theme)shop\/product\/([^/?#]+)/i))) {
+    [, kind, productId] = m;
+  } else if (url.protocol === 'line:') {
+    // line://shop/detail/123 -> host "shop", path "/detail/123"
+    if ((m = p.match(/^\/(?:(sticker|emoji|theme)\/)?detail\/([^/?#]+)/i))) {
+      kind = m[1] || 'sticker';
+      productId = m[2];
+    }
+  } else if ((m = p.match(/^\/S\/sticker\/([^/?#]+)/i))) {
+    kind = 'sticker';
+    productId = m[1];
+  } else if (/^\/S\/emoji\/?$/i.test(p) && q) {
+    kind = 'emoji';
+    productId = q;
+  } else if (/^\/S\/shop\/theme\/detail\/?$/i.test(p) && q) {
+    kind = 'theme';
+    productId = q;
+  }
+
+  if (!kind || !productId) return null;
+  kind = kind.toLowerCase();
+  return { kind, productId, storeUrl: `https://store.line.me/${kind}shop/product/${productId}/en` };
+}
+
 /**
  * Fetch helper that works in Node and the browser
  */
 async function fetchHtml(url) {
-  const res = await fetch(url, {
+  const res = await scheduledFetch(url, {
     headers: {
       // LINE blocks default bots; set a realistic UA
       'user-agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome Safari',
@@ -54,22 +110,31 @@ function parsePreviewAttr(attr) {
 }
 
 /**
- * Normalize one sticker preview record to {id, url, type}
+ * Normalize one sticker preview record to {id, url, type, ...}
+ * `type` stays 'ANIMATED' | 'STATIC' (image kind); the store's own type
+ * ('animation_sound', 'sound', ...) is kept in `previewType`.
  */
 function toStickerInfo(preview) {
   // preview may look like:
-  // { id, staticUrl, animationUrl, type: 'STATIC' | 'ANIMATION' | 'SOUND' ... }
+  // { id, staticUrl, animationUrl, soundUrl, type: 'STATIC' | 'ANIMATION' | 'SOUND' | 'ANIMATION_SOUND' ... }
   const id = String(preview.id ?? preview.stickerId ?? '').trim();
   const hasAnim = !!preview.animationUrl;
   const url = hasAnim ? preview.animationUrl : preview.staticUrl || preview.url;
   const type = hasAnim ? 'ANIMATED' : 'STATIC';
+  const previewType = String(preview.type || '').toLowerCase() || null;
+  // popup ("pop-up") / effect (fullscreen) stickers: big overlay animation on top of the chat
+  const popupUrl = preview.popupUrl || preview.effectUrl || preview.fullScreenUrl || preview.fullscreenUrl || null;
   if (!id || !url) return null;
   return { 
     id, 
     url, 
     type, 
+    previewType,
     staticUrl: preview.staticUrl || null,
     fallbackStaticUrl: preview.fallbackStaticUrl || null, 
+    soundUrl: preview.soundUrl || null,
+    popupUrl,
+    overlayType: popupUrl ? (/effect|full/.test(previewType || '') ? 'effect' : 'popup') : null,
   };
 }
 
@@ -94,24 +159,103 @@ function fromImg($img) {
   return { id, url, type: isAnim ? 'ANIMATED' : 'STATIC' };
 }
 
+/** Text of the first element matching any selector */
+function firstText($, selectors) {
+  for (const sel of selectors) {
+    const text = $(sel).first().text().replace(/\s+/g, ' ').trim();
+    if (text) return text;
+  }
+  return '';
+}
+
+/** "US$1.99" / "¥250" / "100 coins" -> {text, amount, currency} */
+function parsePrice(text) {
+  if (!text) return null;
+  const m = text.replace(/,/g, '').match(/(\d+(?:\.\d+)?)/);
+  const amount = m ? Number(m[1]) : null;
+  const currency = /coin/i.test(text)
+    ? 'COIN'
+    : (text.replace(/[\d.,\s]/g, '').trim() || null);
+  return { text, amount, currency };
+}
+
 /**
- * Scrape sticker info from a LINE Store product page
+ * Product identity for a scraped page: parsed from the requested URL, cross-checked
+ * against the page's own og:url / canonical link (also the only source for short links).
+ */
+function resolveProduct($, url) {
+  const pageUrl = $('meta[property="og:url"]').attr('content') || $('link[rel="canonical"]').attr('href') || '';
+  const fromUrl = parseStoreUrl(url);
+  const fromPage = parseStoreUrl(pageUrl);
+
+  if (fromUrl && fromPage &&
+      (fromUrl.kind !== fromPage.kind || fromUrl.productId !== fromPage.productId)) {
+    throw new Error(
+      `Store URL ${url} is ${fromUrl.kind} ${fromUrl.productId} but the page is ${fromPage.kind} ${fromPage.productId}`,
+    );
+  }
+  const product = fromUrl || fromPage;
+  if (!product) throw new Error(`Cannot determine product id for ${url}`);
+  return product;
+}
+
+/**
+ * Pack-level metadata from a product page.
+ * @param {import('cheerio').CheerioAPI} $
+ * @param {{kind:string, productId:string}} product  from resolveProduct
+ * @param {Array<object>} previews  raw data-preview objects
+ */
+function parsePackMeta($, product, previews) {
+  const ogTitle = $('meta[property="og:title"]').attr('content') || '';
+  const ogDesc = $('meta[property="og:description"]').attr('content') || '';
+
+  const previewTypes = previews.map(p => String(p.type || '').toLowerCase());
+  const hasAnimation = previews.some(p => !!p.animationUrl) ||
+    previewTypes.some(t => t.includes('animation')) ||
+    $('.MdIcoPlay_b, .MdIcoAni_b').length > 0;
+  const hasSound = previews.some(p => !!p.soundUrl) ||
+    previewTypes.some(t => t.includes('sound')) ||
+    $('.MdIcoSound_b').length > 0;
+  const hasPopup = previews.some(p => !!(p.popupUrl || p.effectUrl || p.fullScreenUrl || p.fullscreenUrl)) ||
+    previewTypes.some(t => t.includes('popup') || t.includes('effect')) ||
+    $('.MdIcoFlash_b, .MdIcoFlashAni_b, .MdIcoEffect_b').length > 0;
+
+  return {
+    title: firstText($, ['.mdCMN38Item01Ttl', 'h1']) ||
+      ogTitle.replace(/\s+[–|-]\s+LINE .*$/i, '').trim() || null,
+    author: firstText($, ['.mdCMN38Item01Author', 'a[href*="/author/"]']) || null,
+    description: firstText($, ['.mdCMN38Item01Txt']) || ogDesc || null,
+    productId: product.productId,
+    productType: product.kind,
+    storeUrl: product.storeUrl,
+    hasAnimation,
+    hasSound,
+    hasPopup,
+    price: parsePrice(firstText($, ['.mdCMN38Item01Price'])),
+  };
+}
+
+/**
+ * Scrape a LINE Store product page: pack metadata + sticker list
  * @param {string} storeUrl
- * @returns {Promise<Array<{id:string, url:string, type:'STATIC'|'ANIMATED'}>>}
+ * @returns {Promise<{pack: object|null, stickers: Array<{id:string, url:string, type:'STATIC'|'ANIMATED'}>}>}
  */
- async function getStickerInfo(storeUrl) {
+async function getPackInfo(storeUrl) {
   const cleaned = cleanUrl(storeUrl);
-  if (!cleaned) return [];
+  if (!cleaned) return { pack: null, stickers: [] };
 
   const html = await fetchHtml(cleaned);
 
   const $ = cheerio.load(html);
+  const product = resolveProduct($, cleaned);
 
   const results = [];
+  const previews = [];
 
   // 1) Primary path: elements with data-preview (most reliable)
   $('[data-preview]').each((_, el) => {
     const preview = parsePreviewAttr($(el).attr('data-preview'));
+    if (preview) previews.push(preview);
 
     const info = preview && toStickerInfo(preview);
     if (info) results.push(info);
@@ -137,37 +281,19 @@ function fromImg($img) {
     }
   }
 
-  return Array.from(map.values());
-}
-
-// ==============================================
-
-/** Fetch URL -> ArrayBuffer (Node 18+ has global fetch) */
- async function fetchArrayBuffer(url) {
-  const res = await fetch(url, {
-    headers: {
-      'user-agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome Safari',
-    },
-    // cache: 'no-store',
-  });
-  if (!res.ok) throw new Error(`Fetch failed: ${res.status}`);
-  return res.arrayBuffer();
-}
-
-/** If you specifically need a Node Buffer */
- async function fetchBuffer(url) {
-  const ab = await fetchArrayBuffer(url);
-
-  return Buffer.from(ab);
+  return { pack: parsePackMeta($, product, previews), stickers: Array.from(map.values()) };
 }
 
-/** Buffer -> ArrayBuffer (handles offset correctly) */
- function bufferToArrayBuffer(buf) {
-  return buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength);
+/**
+ * Scrape sticker info from a LINE Store product page
+ * @param {string} storeUrl
+ * @returns {Promise<Array<{id:string, url:string, type:'STATIC'|'ANIMATED'}>>}
+ */
+async function getStickerInfo(storeUrl) {
+  const { stickers } = await getPackInfo(storeUrl);
+  return stickers;
 }
 
-// =============================================
-
 const UA =
   'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome Safari';
 
@@ -179,148 +305,200 @@ async function ensureDir(dir) {
   await fs.mkdir(dir, { recursive: true });
 }
 
-function fileNameFromUrl(u) {
-  const url = new URL(u);
-  // keep the original CDN filename; ignore query (?v=1)
-  return sanitize(decodeURIComponent(path.basename(url.pathname)));
-}
-
-async function downloadOne(sticker, destDir) {
-  const res = await fetch(sticker.url, {
-    headers: { 'user-agent': UA },
-    cache: 'no-store',
-  });
-  if (!res.ok) throw new Error(`Fetch failed ${sticker.id}: ${res.status}`);
-  const ab = await res.arrayBuffer();
-  const fileName = fileNameFromUrl(sticker.url);
-  const filePath = path.join(destDir, fileName);
-  await fs.writeFile(filePath, Buffer.from(ab));
-  return filePath;
-}
+// stickers downloaded + converted at once: each holds decoded APNG frames and may run ffmpeg / sharp
+const STICKER_CONCURRENCY = Math.max(2, Math.min(4, os.availableParallelism()));
 
 /**
  * Save stickers to /public/line-packs-v2/<packId>/<stickerId>/<filename>
  * Returns a summary of saved paths.
  *
- * NOTE: On Vercel/serverless the filesystem is ephemeral. For durable storage,
- * swap to S3/GCS, or zip and return the file instead.
+ * NOTE: On Vercel/serverless the filesystem is ephemeral. For durable storage, import with
+ * a `publisher` (publish.js) for an S3-compatible bucket: importPack uploads the pack when done.
  */
-// async function saveStickerPack(
-//   packId,
-//   stickers
-// ) {
-//   const baseDir = path.join(process.cwd(), 'line-packs-v2', sanitize(packId));
-//   await ensureDir(baseDir);
-
-//   const results= [];
-//   const errors = [];
-
-//   // throttle a bit to avoid hammering the CDN
-//   const concurrency = 6;
-//   let i = 0;
-
-//   async function worker() {
-//     while (i < stickers.length) {
-//       const idx = i++;
-//       const s = stickers[idx];
-//       const destDir = path.join(baseDir, sanitize(s.id));
-//       try {
-//         await ensureDir(destDir);
-//         const savedPath = await downloadOne(s, destDir);
-//         results.push({ id: s.id, path: savedPath });
-//       } catch (e) {
-//         errors.push({ id: s.id, error: e?.message || String(e) });
-//       }
-//     }
-//   }
-
-//   await Promise.all(Array.from({ length: concurrency }, worker));
-
-//   return { baseDir, saved: results, failed: errors };
-// }
-
 // --- FIXED: saveStickerPack (V2 structure, tải đủ animation/static/fallback) ---
 // --- saveStickerPack V2: tải đủ animation/static/fallback ---
-async function saveStickerPack(packId, stickers) {
+// opts.cache: sync cache from openSyncCache() (opened + saved here if not given)
+// opts.gif: also convert APNGs to GIF (default true); opts.gifOptions: apngToGif options (backend / exclude / ...)
+// opts.webpOptions: encodeWebp options ({ profile, maxBytes })
+// opts.avif: also write AVIF siblings of every PNG (opt-in, animations need ffmpeg); opts.avifOptions: { quality, effort }
+// opts.video: also write WebM + MP4 siblings of every APNG (opt-in, needs ffmpeg); opts.videoOptions: { fps, background, crf, plays }
+// opts.sizes: also write downscaled copies of every PNG and its siblings to sizes/ (opt-in); opts.sizesOptions: { sizes, densities }
+// opts.basePublicUrl: URL prefix written into sticker.json (default BASE_PUBLIC_URL; see publish.js)
+async function saveStickerPack(packId, stickers, opts = {}) {
   const relPackDir = path.join('line-packs-v2', sanitize(packId));
   const absPackDir = path.join(process.cwd(), relPackDir);
   await fs.mkdir(absPackDir, { recursive: true });
+  const cache = opts.cache || (await openSyncCache(absPackDir, { force: opts.force }));
+  const gifOptions = opts.gifOptions || {};
+  const gifPrint = opts.gif === false ? null : gifFingerprint(gifOptions);
+  const webpOptions = opts.webpOptions || {};
+  const webpPrint = webpFingerprint(webpOptions);
+  const avifOptions = opts.avifOptions || {};
+  const avifPrint = opts.avif ? avifFingerprint(avifOptions) : null;
+  const videoOptions = opts.videoOptions || {};
+  const videoPrint = opts.video ? JSON.stringify(videoOptions) : null;
+  const sizesOptions = opts.sizesOptions || {};
+  const basePublicUrl = opts.basePublicUrl || BASE_PUBLIC_URL;
 
   const results = [];
   const errors = [];
 
-  // chạy tuần tự cho dễ debug; muốn nhanh thì đổi sang worker/concurrency như cũ
-  for (const s of stickers) {
+  // vài sticker song song (STICKER_CONCURRENCY); số request thực tế do scheduler trong helpers.js giới hạn (concurrency/rate/retry)
+  const perSticker = await mapPool(stickers, STICKER_CONCURRENCY, async (s) => {
+    const saved = [];
     try {
       const urls = [
         s.animationUrl,
         s.url,               // url chính (đã ưu tiên animation trong toStickerInfo)
         s.staticUrl,
         s.fallbackStaticUrl,
+        s.soundUrl,          // sound / animation_sound stickers (m4a)
       ]
         .filter(Boolean)
         .filter((v, i, arr) => arr.indexOf(v) === i); // uniq
 
-      for (const oneUrl of urls) {
-        const { baseNoExt, filename } = urlParts(oneUrl);
+      // line-packs-v2/<packId>/<stickerId>/<filename-no-ext>/<filename>
+      const targets = urls.map(u => {
+        const { baseNoExt, filename } = urlParts(u);
+        return { oneUrl: u, dirName: sanitize(baseNoExt), filename, isApng: /animation\.png(?:$|\?)/i.test(u) };
+      });
+      // popup / effect overlay: line-packs-v2/<packId>/<stickerId>/<stickerId>_popup/<stickerId>_popup.png
+      if (s.popupUrl) {
+        const base = popupBaseName(s.id);
+        const ext = path.extname(urlParts(s.popupUrl).filename) || '.png';
+        targets.push({ oneUrl: s.popupUrl, dirName: base, filename: `${base}${ext}`, isApng: true, overlay: s.overlayType });
+      }
 
-        // line-packs-v2/<packId>/<stickerId>/<filename-no-ext>/
-        const relDir = path.join(relPackDir, sanitize(s.id), sanitize(baseNoExt));
+      for (const { oneUrl, dirName, filename, isApng, overlay } of targets) {
+        const relDir = path.join(relPackDir, sanitize(s.id), dirName);
         const absDir = path.join(process.cwd(), relDir);
 
-        await downloadTo(oneUrl, absDir);
+        const { changed } = await downloadTo(oneUrl, absDir, { filename, cache });
+        const absFile = path.join(absDir, filename);
+        const sibling = (ext) => path.join(absDir, filename.replace(/\.[^.]+$/, '') + ext);
+
+        // nguồn không đổi (cùng sha256) và file phái sinh còn đó -> bỏ qua convert
+        let gif;
+        if (isApng && gifPrint && !(await cache.isDerivedFresh(absFile, 'gif', sibling('.gif'), gifPrint))) {
+          try {
+            const { out, ...report } = await apngToGifSibling(absFile, gifOptions);
+            gif = report; // { backend, warnings, size, frame_count }
+            cache.markDerived(absFile, 'gif', gifPrint);
+          } catch (e) {
+            gif = { error: e?.message || String(e), warnings: e?.warnings || [] };
+            console.warn('APNG→GIF failed for', absFile, gif.error);
+          }
+        }
+
+        let webp;
+        if (isApng && !(await cache.isDerivedFresh(absFile, 'webp', sibling('.webp'), webpPrint))) {
+          const apngPath = absFile; // downloaded APNG
+          try {
+            webp = await apngToWebpSibling(apngPath, webpOptions); // { size, encoding }
+            cache.markDerived(absFile, 'webp', webpPrint);
+          } catch (e) {
+            console.warn('APNG→WebP failed for', oneUrl, e?.message || e);
+          }
+        }
 
-        if (/animation\.png(?:$|\?)/i.test(oneUrl)) {
-          const apngPath = path.join(absDir, fileNameFromUrl(oneUrl)); // downloaded APNG
-          // try {
-          //   await apngToGifSibling(apngPath);
-          // } catch (e) {
-          //   console.warn('APNG→GIF failed for', apngPath, e?.message || e);
-          // }
+        let avif;
+        if (avifPrint && /\.png$/i.test(filename) && !(await cache.isDerivedFresh(absFile, 'avif', sibling('.avif'), avifPrint))) {
+          try {
+            const res = await apngToAvifSibling(absFile, avifOptions);
+            if (res) {
+              avif = { size: res.size, encoding: res.encoding };
+              cache.markDerived(absFile, 'avif', avifPrint);
+            } else {
+              console.warn('ffmpeg not found, no animated AVIF for', oneUrl);
+            }
+          } catch (e) {
+            console.warn('AVIF encode failed for', oneUrl, e?.message || e);
+          }
+        }
 
+        let video;
+        const videoOuts = VIDEO_FORMATS.map(f => sibling(`.${f}`));
+        if (isApng && videoPrint && !(await cache.isDerivedFresh(absFile, 'video', videoOuts, videoPrint))) {
           try {
-            await apngToWebpSibling(apngPath, oneUrl)
-            
-          } catch (error) {
-            console.log(error);
-            
+            const res = await apngToVideoSiblings(absFile, videoOptions);
+            video = Object.fromEntries(Object.entries(res).map(([f, { size, duration }]) => [f, { size, duration }]));
+            cache.markDerived(absFile, 'video', videoPrint);
+            await updateStickerJsonVideo({
+              jsonPath: path.join(absDir, 'sticker.json'),
+              basePublicDir: process.cwd(),
+              basePublicUrl,
+              apngRelPath: path.join(relDir, filename).replaceAll('\\', '/'),
+            });
+          } catch (e) {
+            if (isFfmpegMissing(e)) console.warn('ffmpeg not found, no WebM/MP4 for', oneUrl);
+            else console.warn('Video encode failed for', oneUrl, e?.message || e);
           }
         }
 
-        results.push({
+        // sizes: after webp/gif/avif so the downscaled copies cover every format made above
+        let sizes;
+        if (opts.sizes && /\.png$/i.test(filename)) {
+          try {
+            // reading the PNG header can fail too (truncated download): logged like the other optional steps
+            const sizesPrint = await responsiveFingerprint(absFile, sizesOptions);
+            const sizesOuts = await responsiveOutputs(absFile, sizesOptions);
+            if (!(await cache.isDerivedFresh(absFile, 'sizes', sizesOuts, sizesPrint))) {
+              const res = await buildResponsiveSizes(absFile, { ...sizesOptions, webpOptions, gifOptions, avifOptions });
+              sizes = res.widths;
+              cache.markDerived(absFile, 'sizes', sizesPrint);
+              await updateStickerJsonSrcset({
+                stickerDir: path.dirname(absDir),
+                basePublicDir: process.cwd(),
+                basePublicUrl,
+                relPath: path.join(relDir, filename).replaceAll('\\', '/'),
+              });
+              if (res.skipped.length) console.warn('ffmpeg not found, no animated AVIF sizes for', oneUrl);
+            }
+          } catch (e) {
+            console.warn('Resize failed for', oneUrl, e?.message || e);
+          }
+        }
+
+        if (isAudioUrl(oneUrl) && !(await cache.isDerivedFresh(absFile, 'ogg', sibling('.ogg')))) {
+          try {
+            const ogg = await transcodeAudioSibling(absFile);
+            if (ogg) cache.markDerived(absFile, 'ogg');
+            else console.warn('ffmpeg not found, keeping original audio only:', oneUrl);
+          } catch (e) {
+            console.warn('Audio transcode failed for', oneUrl, e?.message || e);
+          }
+        }
+
+        saved.push({
           id: s.id,
           variantUrl: oneUrl,
           dir: relDir.replaceAll('\\', '/'),
           file: path.join(relDir, filename).replaceAll('\\', '/'),
+          changed,
+          ...(overlay ? { overlay } : {}),
+          ...(gif ? { gif } : {}),
+          ...(webp ? { webp } : {}),
+          ...(avif ? { avif } : {}),
+          ...(video ? { video } : {}),
+          ...(sizes ? { sizes } : {}),
         });
       }
+      return { saved };
     } catch (e) {
-      errors.push({ id: s.id, error: e?.message || String(e) });
       console.error('saveStickerPack error:', s?.id, e);
+      return { saved, error: { id: s.id, error: e?.message || String(e) } };
     }
+  });
+
+  for (const { saved, error } of perSticker) {
+    results.push(...saved);
+    if (error) errors.push(error);
   }
+  await cache.save();
 
   return { baseDir: relPackDir.replaceAll('\\', '/'), saved: results, failed: errors };
 }
 
-const STICKERS = [
-  // "https://store.line.me/emojishop/product/67623b3dfeefbb031e01547f/en",
-  // "https://store.line.me/emojishop/product/648e6812b74fae74142e8af0/en",
-  // "https://store.line.me/emojishop/product/67c9092bcd372c3107c54c32/en",
-  // "https://store.line.me/emojishop/product/63ca068085d52f7ff12596d5/en",
-  // "https://store.line.me/emojishop/product/64e80b97092abe5833a87320/en",
-  // "https://store.line.me/emojishop/product/65e1933065bd7b66653c90f9/en",
-  // "https://store.line.me/emojishop/product/6808583169d7650139d3175a/en",
-  // "https://store.line.me/emojishop/product/667b809422d33233cb380c63/en",
-  // "https://store.line.me/emojishop/product/66d164f4ef749a3b57850c5c/en",
-  // "https://store.line.me/emojishop/product/653c693f3a007919c0167e64/en",
-  // "https://store.line.me/emojishop/product/665e825e22d33233cb37cea0/en",
-  // "https://store.line.me/emojishop/product/65781a7a896d8c165265f3ea/en",
-  "https://store.line.me/emojishop/product/686cb4907a295f1761c5ba83/en",
-  // "https://store.line.me/stickershop/product/27319218/en",
-]
-
-
 export async function saveStickerPackSimple(packId, stickers) {
   const relPackDir = path.join('line-packs-simple', sanitize(packId));
   const absPackDir = path.join(process.cwd(), relPackDir);
@@ -343,7 +521,7 @@ export async function saveStickerPackSimple(packId, stickers) {
       const destRel = path.join(relPackDir, `${sanitize(String(s.id))}.png`);
       const destAbs = path.join(process.cwd(), destRel);
 
-      const res = await fetch(bestUrl, {
+      const res = await scheduledFetch(bestUrl, {
         headers: { 'user-agent': UA },
         cache: 'no-store',
       });
@@ -371,33 +549,175 @@ export async function saveStickerPackSimple(packId, stickers) {
 }
 
 
-STICKERS.forEach( async url => {
-  const stickers = await getStickerInfo(url);
+/**
+ * Best-effort store URL for a bare pack id (emoji ids are 24-char hex, sticker ids numeric).
+ * Prefer parseStoreUrl() whenever an actual store link is available.
+ */
+export function storeUrlForPack(packId) {
+  const id = String(packId || '').trim();
+  if (/^[0-9a-f]{24}$/i.test(id)) return `https://store.line.me/emojishop/product/${id}/en`;
+  if (/^\d+$/.test(id)) return `https://store.line.me/stickershop/product/${id}/en`;
+  throw new Error(`Cannot derive store URL from pack id: ${packId}`);
+}
 
-  const packId = stickers[0].id; 
-  // Filter actual frames (skip the main.png entry if you want)
-  const frames = stickers.filter(s => /^\d+$/.test(s.id));
+/**
+ * Actual sticker frames of a pack: numeric ids only, minus the product's own preview
+ * (emoji pages list the product id itself for main.png).
+ */
+export function packFrames(packId, stickers) {
+  return stickers.filter(s => s.id !== String(packId) && /^\d+$/.test(s.id));
+}
+
+/**
+ * GIF step summary from saveStickerPack results:
+ *   { by_backend: {ffmpeg: n, ...}, failed: [{file, error, warnings}], conversions: {<gif rel path>: {backend, size, warnings}} }
+ * `conversions` goes into pack.json (writePackManifest) next to each gif variant.
+ */
+function gifReport(saved) {
+  const report = { by_backend: {}, failed: [], conversions: {} };
+  for (const { file, gif } of saved) {
+    if (!gif) continue;
+    if (gif.error) {
+      report.failed.push({ file, error: gif.error, warnings: gif.warnings });
+      continue;
+    }
+    report.by_backend[gif.backend] = (report.by_backend[gif.backend] || 0) + 1;
+    report.conversions[file.replace(/\.[^./]+$/, '.gif')] = {
+      backend: gif.backend,
+      size: gif.size,
+      ...(gif.warnings.length ? { warnings: gif.warnings } : {}),
+    };
+  }
+  return report;
+}
+
+/** WebPs / AVIFs / videos made by saveStickerPack: <rel path> -> {size, encoding | duration} for pack.json */
+function encoderConversions(saved) {
+  const out = {};
+  const rel = (file, ext) => file.replace(/\.[^./]+$/, `.${ext}`);
+  for (const r of saved) {
+    for (const ext of ['webp', 'avif']) if (r[ext]) out[rel(r.file, ext)] = r[ext];
+    for (const [ext, v] of Object.entries(r.video || {})) out[rel(r.file, ext)] = v;
+  }
+  return out;
+}
+
+/**
+ * Scrape + download one pack, optionally building sprites (v2 layout only).
+ * @param {string} storeUrl
+ * @param {object} [opts]
+ * @param {'v2'|'simple'} [opts.layout='v2']
+ * @param {boolean} [opts.sprite=false]  build spritesheet.png + sticker.json after download
+ * @param {boolean} [opts.force=false]   ignore .sync-cache.json: re-download and re-derive everything
+ * @param {number} [opts.cols]
+ * @param {number} [opts.padding]
+ * @param {string} [opts.label]
+ * @param {string} [opts.packName]
+ * @param {boolean} [opts.frameData=true]  sticker.json: per-frame rects/durations, loop_count, total_duration
+ * @param {'grid'|'atlas'} [opts.spriteLayout='grid']  atlas: trimmed/packed/deduped + TexturePacker spritesheet.json
+ * @param {boolean} [opts.packAtlas=false]  also build the pack-wide atlas-<n>.png + atlas.json (pack-atlas.js)
+ * @param {number} [opts.atlasMaxSize]      max width/height of each pack atlas page (default 4096)
+ * @param {boolean} [opts.gif=true]          convert APNGs to GIF (apngToGif: ffmpeg → gifwrap → apng2gif)
+ * @param {object} [opts.gifOptions]         apngToGif options, e.g. { backend: 'gifwrap' } or { exclude: ['ffmpeg'] }
+ * @param {object} [opts.webpOptions]        encodeWebp options, e.g. { profile: 'tiny', maxBytes: 65536 }
+ * @param {boolean} [opts.avif=false]        also write <name>.avif next to every PNG / APNG (apng2avif.js)
+ * @param {object} [opts.avifOptions]        apngToAvif options ({ quality, effort })
+ * @param {boolean} [opts.video=false]       also write <name>.webm (VP9 + alpha) + <name>.mp4 (H.264) next to every APNG
+ * @param {object} [opts.videoOptions]       apngToVideoSiblings options ({ fps, background, crf, plays })
+ * @param {boolean} [opts.sizes=false]       also write downscaled copies to sizes/<name>-<w>w.* for srcset (responsive.js)
+ * @param {object} [opts.sizesOptions]       buildResponsiveSizes options ({ sizes, densities })
+ * @param {import('./publish.js').Publisher} [opts.publisher]  where the files are served from (default: github-raw);
+ *                                           its URLs go into the JSON files, uploading targets get the pack when done
+ */
+export async function importPack(storeUrl, {
+  layout = 'v2',
+  sprite = false,
+  force = false,
+  packAtlas = false,
+  atlasMaxSize,
+  gif = true,
+  gifOptions,
+  webpOptions,
+  avif = false,
+  avifOptions,
+  video = false,
+  videoOptions,
+  sizes = false,
+  sizesOptions,
+  publisher = createPublisher(),
+  ...spriteOpts
+} = {}) {
+  const { pack, stickers } = await getPackInfo(storeUrl);
+  if (!pack) throw new Error(`Invalid store URL: ${storeUrl}`);
+  if (stickers.length === 0) throw new Error(`No stickers found at ${storeUrl}`);
+
+  const packId = pack.productId;
+  const frames = packFrames(packId, stickers);
+
+  if (layout === 'simple') {
+    return { packId, ...(await saveStickerPackSimple(packId, frames)) };
+  }
+  if (layout !== 'v2') throw new Error(`Unknown layout: ${layout}`);
 
-  const res = await saveStickerPack(packId, frames);
+  const cache = await openSyncCache(path.join(process.cwd(), 'line-packs-v2', sanitize(packId)), { force });
+  const basePublicUrl = publisher.baseUrl;
+  const res = await saveStickerPack(packId, frames, {
+    cache, gif, gifOptions, webpOptions, avif, avifOptions, video, videoOptions, sizes, sizesOptions, basePublicUrl,
+  });
+  res.gifs = gifReport(res.saved);
+  if (sprite) {
+    res.sprites = await buildPackSprites(packId, frames, { pack, cache, basePublicUrl, ...spriteOpts });
+    await cache.save();
+  }
+  if (packAtlas) {
+    res.atlas = await buildPackAtlas(packId, { maxSize: atlasMaxSize, force, basePublicUrl });
+  }
 
-  // Tạo sprite + json ngay trong cùng thư mục pack
-  // await buildSpriteForPackV2({
-  //   packId,
-  //   frames,
-  //   basePublicDir: process.cwd(),   // repo root
-  //   basePublicUrl: BASE_PUBLIC_URL, // ✅ build absolute URL cho JSON
-  //   spriteName: 'spritesheet.png',
-  //   jsonName: 'sticker.json',
-  //   cols: 8,
-  //   padding: 0,
-  //   label: 'Betakuma clapping',
-  //   packName: "Betakkuma's Sports Frenzy",
-  // });
+  // chỉ đổi imported_at khi có file thật sự thay đổi -> re-run không tạo diff
+  const anyChanged = res.saved.some(r => r.changed)
+    || !!res.sprites?.results.some(r => !r.skipped)
+    || (!!res.atlas && !res.atlas.skipped);
+  const { manifest, manifestPath } = await writePackManifest(packId, {
+    storeUrl: pack.storeUrl,
+    packName: spriteOpts.packName,
+    pack,
+    stickerIds: frames.map(f => f.id),
+    importedAt: anyChanged ? new Date().toISOString() : undefined,
+    conversions: { ...res.gifs.conversions, ...encoderConversions(res.saved) },
+    basePublicUrl,
+  });
+  await updateCatalog(manifest, { basePublicUrl });
+  res.manifestPath = manifestPath;
+  if (publisher.uploads) res.published = await publishPack(packId, { publisher });
 
+  return { packId, ...res };
+}
 
-  // const stickers = await getStickerInfo(url);
-  // const packId = stickers[0].id;
-  // const frames = stickers.filter(s => /^\d+$/.test(s.id));
-  // await saveStickerPackSimple(packId, frames);
+/**
+ * Tạo sprite + json ngay trong cùng thư mục pack (line-packs-v2/<packId>/...)
+ * @param {string} packId
+ * @param {Array} frames  sticker infos from getStickerInfo
+ * @param {object} [opts]  cols/padding/label/packName/frameData/spriteLayout; `pack` = scraped metadata from getPackInfo;
+ *                         `cache` = sync cache to skip stickers whose APNG is unchanged;
+ *                         `basePublicUrl` = URL prefix for sticker.json (publisher.baseUrl)
+ */
+export async function buildPackSprites(packId, frames, { cols, padding, label, packName, frameData, spriteLayout, pack, cache, basePublicUrl = BASE_PUBLIC_URL } = {}) {
+  return buildSpriteForPackV2({
+    packId,
+    frames,
+    basePublicDir: process.cwd(),   // repo root
+    basePublicUrl,                  // ✅ build absolute URL cho JSON
+    spriteName: 'spritesheet.png',
+    jsonName: 'sticker.json',
+    cols,
+    padding,
+    label,
+    packName,
+    frameData,
+    spriteLayout,
+    pack,
+    cache,
+  });
+}
 
-})
+export { getPackInfo, getStickerInfo, saveStickerPack };
@@ -0,0 +1,235 @@
+// manifest.js
+import path from 'path';
+import { promises as fs } from 'node:fs';
+import sharp from 'sharp';
+import { BASE_PUBLIC_URL, readPngInfo, toPublicUrl } from './helpers.js';
+import { AUDIO_EXT_RE, AUDIO_MIME, OPEN_AUDIO_EXT_RE } from './audio.js';
+import { VIDEO_MIME } from './apng2video.js';
+import { SIZED_RE, SIZES_DIR } from './responsive.js';
+
+const sanitize = (s) => String(s || '').replace(/[^a-zA-Z0-9._-]/g, '_');
+const toPosix = (p) => p.replaceAll('\\', '/');
+
+export const PACKS_DIR = 'line-packs-v2';
+export const PACK_MANIFEST = 'pack.json';
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+async function listDirs(dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+  return entries.filter(e => e.isDirectory()).map(e => e.name).sort();
+}
+
+/** PNG / APNG -> {width, height, frame_count} from the header only */
+async function pngMeta(absFile) {
+  const info = readPngInfo(await fs.readFile(absFile));
+  return { width: info.width, height: info.height, frame_count: info.frameCount, animated: info.animated };
+}
+
+/** GIF / WebP (possibly animated) -> {width, height, frame_count} */
+async function sharpMeta(absFile) {
+  const meta = await sharp(absFile, { animated: true }).metadata();
+  return {
+    width: meta.width,
+    height: meta.pageHeight || meta.height,
+    frame_count: meta.pages || 1,
+  };
+}
+
+/**
+ * Downscaled copies in <absSub>/sizes (responsive.js), grouped by the file they were made from:
+ * '<base>.<ext>' -> [{abs, rel, width, height}] smallest first
+ */
+async function scanSizes(absSub, cwd) {
+  const absSizes = path.join(absSub, SIZES_DIR);
+  const bySource = {};
+  for (const name of (await fs.readdir(absSizes).catch(() => [])).sort()) {
+    const m = SIZED_RE.exec(name);
+    if (!m) continue;
+    const abs = path.join(absSizes, name);
+    const { width, height } = await sharpMeta(abs);
+    (bySource[`${m[1]}.${m[3].toLowerCase()}`] ??= []).push({ abs, rel: toPosix(path.relative(cwd, abs)), width, height });
+  }
+  for (const list of Object.values(bySource)) list.sort((a, b) => a.width - b.width);
+  return bySource;
+}
+
+/**
+ * Find every known variant of one sticker on disk:
+ *   <stickerDir>/<base>/<base>.png          static PNG or APNG (by acTL chunk)
+ *   <stickerDir>/<base>/<base>.gif|.webp    converted animations
+ *   <stickerDir>/<base>/<base>.avif         AVIF of the APNG (`avif`) or of the static PNG (`avif_static`)
+ *   <stickerDir>/<base>/spritesheet.png     sprite + sticker.json (+ spritesheet.json TexturePacker hash in atlas mode)
+ *   <stickerDir>/<base>/<base>.m4a|.ogg     sound track (original / transcoded)
+ *   <stickerDir>/<base>/<base>.webm|.mp4    video versions of the APNG (VP9 + alpha / H.264)
+ *   <stickerDir>/<base>/sizes/<base>-<w>w.* downscaled copies, listed as `srcset` of the variant they come from
+ *   <stickerDir>/<id>_popup/...             popup/effect overlay, same kinds nested under `popup`
+ * @param {string} absStickerDir
+ * @returns {Promise<Record<string, {abs:string, rel:string, width?:number, height?:number, frame_count?:number, srcset?:object[]}>>}
+ */
+export async function scanStickerVariants(absStickerDir, { cwd = process.cwd() } = {}) {
+  const variants = {};
+
+  for (const sub of await listDirs(absStickerDir)) {
+    const absSub = path.join(absStickerDir, sub);
+    const files = (await fs.readdir(absSub)).sort();
+    const sizes = await scanSizes(absSub, cwd);
+    const target = sub.endsWith('_popup') ? (variants.popup ??= {}) : variants;
+    const put = (kind, abs, meta = {}) => {
+      const ext = path.extname(abs);
+      const srcset = sizes[`${path.basename(abs, ext)}${ext.toLowerCase()}`];
+      if (!target[kind]) target[kind] = { abs, rel: toPosix(path.relative(cwd, abs)), ...meta, ...(srcset ? { srcset } : {}) };
+    };
+
+    for (const name of files) {
+      const abs = path.join(absSub, name);
+      const ext = path.extname(name).toLowerCase();
+
+      if (name === 'sticker.json') {
+        put('sticker_json', abs);
+      } else if (name === 'spritesheet.json') {
+        put('texture_atlas', abs);
+      } else if (name === 'spritesheet.png') {
+        const { width, height } = await pngMeta(abs);
+        put('spritesheet', abs, { width, height });
+      } else if (ext === '.png') {
+        const { animated, ...meta } = await pngMeta(abs);
+        put(animated ? 'apng' : 'static', abs, meta);
+      } else if (ext === '.gif' || ext === '.webp') {
+        put(ext.slice(1), abs, await sharpMeta(abs));
+      } else if (ext === '.avif') {
+        // sharp reads only the first image of an AVIF sequence: keep the size, not frame_count
+        const src = await pngMeta(abs.slice(0, -ext.length) + '.png').catch(() => null);
+        const { width, height } = await sharpMeta(abs);
+        put(src?.animated ? 'avif' : 'avif_static', abs, { width, height });
+      } else if (ext === '.webm' || ext === '.mp4') {
+        put(ext.slice(1), abs, { type: VIDEO_MIME[ext] });
+      } else if (AUDIO_EXT_RE.test(name)) {
+        put('sound', abs, { type: AUDIO_MIME[ext] });
+      } else if (OPEN_AUDIO_EXT_RE.test(name)) {
+        put('sound_ogg', abs, { type: AUDIO_MIME[ext] });
+      }
+    }
+  }
+  return variants;
+}
+
+// how a derived file was produced (GIF backend, WebP encoder settings, video duration); not read back from the file
+const CONVERSION_FIELDS = ['backend', 'size', 'warnings', 'encoding', 'duration'];
+
+/**
+ * {kind: {abs, rel, ...meta}} -> {kind: {uri, ...meta, ...conversion}}
+ * conversion info comes from `conversions[rel]` (this run) or the previous pack.json entry with the same uri.
+ */
+function publicVariants(variants, basePublicUrl, conversions = {}, prevByUri = new Map()) {
+  const out = {};
+  for (const [kind, { abs, rel, srcset, ...meta }] of Object.entries(variants)) {
+    const uri = toPublicUrl(rel, basePublicUrl);
+    const prev = prevByUri.get(uri) || {};
+    const conversion = conversions[rel]
+      || Object.fromEntries(CONVERSION_FIELDS.filter(k => prev[k] !== undefined).map(k => [k, prev[k]]));
+    out[kind] = {
+      uri,
+      ...meta,
+      ...conversion,
+      ...(srcset ? { srcset: srcset.map(s => ({ uri: toPublicUrl(s.rel, basePublicUrl), width: s.width, height: s.height })) } : {}),
+    };
+  }
+  return out;
+}
+
+/** uri -> variant entry of a previous pack.json (stickers + popups) */
+function variantsByUri(prevManifest) {
+  const byUri = new Map();
+  for (const s of prevManifest?.stickers || []) {
+    for (const v of [...Object.values(s), ...Object.values(s.popup || {})]) {
+      if (v && typeof v === 'object' && v.uri) byUri.set(v.uri, v);
+    }
+  }
+  return byUri;
+}
+
+/**
+ * Build pack.json content for line-packs-v2/<packId> from what is on disk.
+ * @param {string} packId
+ * @param {object} [opts]
+ * @param {string} [opts.storeUrl]
+ * @param {string} [opts.packName]
+ * @param {object} [opts.pack]          scraped metadata (getPackInfo().pack)
+ * @param {string[]} [opts.stickerIds]  order of stickers (defaults to folder order)
+ * @param {string} [opts.importedAt]    ISO timestamp (defaults to previous pack.json or now)
+ * @param {string} [opts.basePublicUrl]
+ * @param {Record<string, object>} [opts.conversions]  <variant rel path> -> {backend, size, warnings} (gif) or {size, encoding} (webp) from this run
+ */
+export async function buildPackManifest(packId, {
+  storeUrl,
+  packName,
+  pack,
+  stickerIds,
+  importedAt,
+  basePublicUrl = BASE_PUBLIC_URL,
+  conversions = {},
+  cwd = process.cwd(),
+} = {}) {
+  const relPackDir = path.join(PACKS_DIR, sanitize(packId));
+  const absPackDir = path.join(cwd, relPackDir);
+  const prev = (await readJson(path.join(absPackDir, PACK_MANIFEST))) || {};
+
+  const onDisk = await listDirs(absPackDir);
+  const prevByUri = variantsByUri(prev);
+  const ids = (stickerIds?.length ? stickerIds.map(sanitize) : onDisk).filter(id => onDisk.includes(id));
+
+  const stickers = [];
+  for (const id of ids) {
+    const variants = await scanStickerVariants(path.join(absPackDir, id), { cwd });
+    const { popup, ...own } = variants;
+    const entry = { id, animated: !!variants.apng, has_sound: !!variants.sound, ...publicVariants(own, basePublicUrl, conversions, prevByUri) };
+    if (popup) {
+      const popupJson = popup.sticker_json && (await readJson(popup.sticker_json.abs));
+      entry.popup = {
+        overlay: true,
+        overlay_type: popupJson?.overlay_type || 'popup',
+        ...publicVariants(popup, basePublicUrl, conversions, prevByUri),
+      };
+    }
+    stickers.push(entry);
+  }
+
+  const atlasRel = toPosix(path.join(relPackDir, 'atlas.json'));
+  const hasAtlas = await fs.access(path.join(cwd, atlasRel)).then(() => true, () => false);
+
+  return {
+    id: String(packId),
+    name: packName ?? pack?.title ?? prev.name ?? null,
+    author: pack?.author ?? prev.author ?? null,
+    description: pack?.description ?? prev.description ?? null,
+    product_type: pack?.productType ?? prev.product_type ?? null,
+    has_animation: pack?.hasAnimation ?? prev.has_animation ?? stickers.some(s => s.animated),
+    has_sound: pack?.hasSound ?? prev.has_sound ?? false,
+    has_popup: pack?.hasPopup ?? prev.has_popup ?? stickers.some(s => s.popup),
+    price: pack?.price ?? prev.price ?? null,
+    store_url: storeUrl ?? prev.store_url ?? null,
+    imported_at: importedAt ?? prev.imported_at ?? new Date().toISOString(),
+    base_url: toPublicUrl(toPosix(relPackDir) + '/', basePublicUrl),
+    sticker_count: stickers.length,
+    ...(hasAtlas ? { atlas: { uri: toPublicUrl(atlasRel, basePublicUrl) } } : {}),
+    stickers,
+  };
+}
+
+/**
+ * Write line-packs-v2/<packId>/pack.json
+ * @returns {Promise<{manifest:object, manifestPath:string}>}
+ */
+export async function writePackManifest(packId, opts = {}) {
+  const manifest = await buildPackManifest(packId, opts);
+  const manifestPath = path.join(opts.cwd || process.cwd(), PACKS_DIR, sanitize(packId), PACK_MANIFEST);
+  await fs.writeFile(manifestPath, JSON.stringify(manifest, null, 2), 'utf-8');
+  return { manifest, manifestPath };
+}
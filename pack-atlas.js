@@ -0,0 +1,161 @@
+// pack-atlas.js — one (or a few) atlases covering every sticker of a pack, so a pack page needs 1–2 images
+import path from 'path';
+import { promises as fs } from 'node:fs';
+import UPNG from 'upng-js';
+import { BASE_PUBLIC_URL, toPublicUrl } from './helpers.js';
+import { readApng } from './apng-model.js';
+import { addTrimmedCell, blitRgba, packPages } from './atlas.js';
+import { PACKS_DIR, PACK_MANIFEST, scanStickerVariants } from './manifest.js';
+import { sha256 } from './sync-cache.js';
+
+const { encode } = UPNG;
+
+export const PACK_ATLAS_FILE = 'atlas.json';
+export const DEFAULT_ATLAS_MAX_SIZE = 4096;
+
+const sanitize = (s) => String(s || '').replace(/[^a-zA-Z0-9._-]/g, '_');
+const toPosix = (p) => p.replaceAll('\\', '/');
+const pageName = (i) => `atlas-${i}.png`;
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+async function listDirs(dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+  return entries.filter(e => e.isDirectory()).map(e => e.name).sort();
+}
+
+const fileExists = (file) => fs.access(file).then(() => true, () => false);
+
+/**
+ * Build line-packs-v2/<packId>/atlas-<n>.png + atlas.json from the APNG (animated) or static PNG
+ * of every sticker on disk. Frames are trimmed and deduplicated across the whole pack, then packed
+ * into pages of at most maxSize×maxSize.
+ *
+ * atlas.json:
+ *   { pack_id, max_size, padding, source_hash,
+ *     images: [{ uri, width, height }],
+ *     stickers: { <id>: { animated, width, height, loop_count, total_duration,
+ *                         frames: [{ image, x, y, w, h, offset_x, offset_y, duration }] } } }
+ * `image` indexes `images`; offset = trimmed box position inside the width×height frame.
+ * Static stickers are a single frame with duration 0.
+ *
+ * Skipped (returns skipped:true) when the sources and options are unchanged since the last build.
+ *
+ * @param {string} packId
+ * @param {object} [opts]
+ * @param {number} [opts.maxSize=4096]  max width/height of each atlas page
+ * @param {number} [opts.padding=2]     gap between frames (avoids bleeding when scaled)
+ * @param {boolean} [opts.force]
+ * @returns {Promise<{atlas:object, atlasPath:string, skipped:boolean}>}
+ */
+export async function buildPackAtlas(packId, {
+  maxSize = DEFAULT_ATLAS_MAX_SIZE,
+  padding = 2,
+  force = false,
+  basePublicUrl = BASE_PUBLIC_URL,
+  cwd = process.cwd(),
+} = {}) {
+  const relPackDir = path.join(PACKS_DIR, sanitize(packId));
+  const absPackDir = path.join(cwd, relPackDir);
+  const atlasPath = path.join(absPackDir, PACK_ATLAS_FILE);
+
+  // thứ tự sticker: theo pack.json nếu có, không thì theo thư mục
+  const onDisk = await listDirs(absPackDir);
+  if (!onDisk.length) throw new Error(`Pack not found or empty: ${toPosix(relPackDir)}`);
+  const manifest = await readJson(path.join(absPackDir, PACK_MANIFEST));
+  const ids = manifest?.stickers?.length ? manifest.stickers.map(s => s.id).filter(id => onDisk.includes(id)) : onDisk;
+
+  const sources = [];
+  for (const id of ids) {
+    const variants = await scanStickerVariants(path.join(absPackDir, id), { cwd });
+    const src = variants.apng || variants.static;
+    if (src) sources.push({ id, src });
+  }
+  if (!sources.length) throw new Error(`No sticker images in ${toPosix(relPackDir)}`);
+
+  const hashes = await Promise.all(sources.map(async ({ src }) => sha256(await fs.readFile(src.abs))));
+  const sourceHash = sha256(JSON.stringify({
+    maxSize,
+    padding,
+    basePublicUrl,
+    sources: sources.map(({ id, src }, i) => [id, src.rel, hashes[i]]),
+  }));
+
+  const prev = await readJson(atlasPath);
+  if (!force && prev?.source_hash === sourceHash) {
+    const pagesThere = await Promise.all(prev.images.map((_, i) => fileExists(path.join(absPackDir, pageName(i)))));
+    if (pagesThere.every(Boolean)) return { atlas: prev, atlasPath, skipped: true };
+  }
+
+  // 1) trim + dedupe every frame of every sticker
+  const cells = [];
+  const byHash = new Map();
+  const entries = [];
+  for (const { id, src } of sources) {
+    const model = await readApng(src.abs);
+    const refs = model.frames.map(f => ({
+      ...addTrimmedCell(cells, byHash, f.rgba, model.width, model.height),
+      duration: model.animated ? f.delay || 0 : 0,
+    }));
+    entries.push({ id, model, refs });
+  }
+
+  // 2) pack into pages, 3) blit + encode each page
+  const { pages, positions } = packPages(cells.map(c => c.rect), { padding, maxSize });
+  const pageRgba = pages.map(p => new Uint8Array(p.width * p.height * 4));
+  cells.forEach((c, i) => {
+    const { page, x, y } = positions[i];
+    blitRgba(pageRgba[page], pages[page].width, c.pixels, { x, y, w: c.rect.w, h: c.rect.h });
+  });
+
+  const images = [];
+  for (let i = 0; i < pages.length; i++) {
+    const { width, height } = pages[i];
+    await fs.writeFile(path.join(absPackDir, pageName(i)), Buffer.from(encode([pageRgba[i].buffer], width, height, 0)));
+    images.push({ uri: toPublicUrl(toPosix(path.join(relPackDir, pageName(i))), basePublicUrl), width, height });
+  }
+  // bớt trang so với lần build trước -> xoá atlas-<n>.png thừa
+  for (let i = pages.length; i < (prev?.images?.length ?? 0); i++) {
+    await fs.unlink(path.join(absPackDir, pageName(i))).catch(() => {});
+  }
+
+  const stickers = {};
+  for (const { id, model, refs } of entries) {
+    stickers[id] = {
+      animated: model.animated,
+      width: model.width,
+      height: model.height,
+      loop_count: model.numPlays,
+      total_duration: refs.reduce((s, r) => s + r.duration, 0),
+      frames: refs.map(({ cell, rect, duration }) => ({
+        image: positions[cell].page,
+        x: positions[cell].x,
+        y: positions[cell].y,
+        w: rect.w,
+        h: rect.h,
+        offset_x: rect.x,
+        offset_y: rect.y,
+        duration,
+      })),
+    };
+  }
+
+  const atlas = {
+    pack_id: String(packId),
+    max_size: maxSize,
+    padding,
+    source_hash: sourceHash,
+    frame_count: entries.reduce((n, e) => n + e.refs.length, 0),
+    unique_frame_count: cells.length,
+    images,
+    stickers,
+  };
+  await fs.writeFile(atlasPath, JSON.stringify(atlas, null, 2), 'utf-8');
+  return { atlas, atlasPath, skipped: false };
+}
@@ -0,0 +1,247 @@
+// publish.js — publishing targets: where the asset files are served from, and the URLs the JSON files point at
+import path from 'path';
+import { createHash } from 'node:crypto';
+import { promises as fs } from 'node:fs';
+import { mapPool, toPublicUrl } from './helpers.js';
+import { AUDIO_MIME } from './audio.js';
+import { createS3Client } from './s3.js';
+import { PACKS_DIR } from './manifest.js';
+import { STICKER_SCHEMA_FILE } from './sticker-schema.js';
+
+/**
+ * github-raw    raw.githubusercontent.com (the historical default; not a CDN, text/plain for some formats)
+ * jsdelivr      cdn.jsdelivr.net/gh/<repo>@<ref>: CDN in front of the same git repo, proper content types
+ * github-pages  <owner>.github.io/<repo> (or a custom domain via baseUrl)
+ * local         copy into a folder served by any static server (baseUrl defaults to '/')
+ * s3            upload to an S3-compatible bucket (AWS S3, MinIO, R2, ...)
+ */
+export const PUBLISH_TARGETS = ['github-raw', 'jsdelivr', 'github-pages', 'local', 's3'];
+export const DEFAULT_PUBLISH_TARGET = 'github-raw';
+export const DEFAULT_REPO = 'godchu/blog-assets';
+export const DEFAULT_REF = 'main';
+export const DEFAULT_PUBLISH_DIR = 'public';
+
+export const CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.json': 'application/json',
+  '.webm': 'video/webm',
+  '.mp4': 'video/mp4',
+  ...AUDIO_MIME,
+};
+
+export const contentTypeFor = (file) => CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+
+// JSON is rewritten in place on every import; images keep their name but rarely change
+const cacheControlFor = (file) => (/\.json$/i.test(file) ? 'no-cache' : 'public, max-age=86400');
+
+const withSlash = (url) => (url.endsWith('/') ? url : `${url}/`);
+const md5 = (buf) => createHash('md5').update(buf).digest('hex');
+
+/**
+ * @typedef {Object} Publisher
+ * @property {string} target
+ * @property {string} baseUrl   public URL of the repo root, ends with '/': basePublicUrl everywhere else
+ * @property {boolean} uploads  false for git-hosted targets (files go out with `git push`)
+ * @property {(relPath: string) => string} url
+ * @property {(absFile: string, relPath: string) => Promise<'uploaded'|'unchanged'>} put
+ */
+
+/**
+ * @typedef {Object} PublisherOptions
+ * @property {string} [target='github-raw']  one of PUBLISH_TARGETS
+ * @property {string} [baseUrl]      override the public URL (custom domain, CDN in front of the bucket, ...)
+ * @property {string} [repo='godchu/blog-assets']  github-raw / jsdelivr / github-pages
+ * @property {string} [ref='main']   branch or tag (github-raw / jsdelivr)
+ * @property {string} [dir='public'] local: folder the files are copied to
+ * @property {string} [prefix]       s3: key prefix, e.g. 'assets/'
+ * @property {import('./s3.js').S3Options} [s3]
+ * @property {string} [cwd]          repo root (local: nothing is copied when dir is the repo itself)
+ */
+
+/**
+ * Publisher for one target.
+ * @param {PublisherOptions} [opts]
+ * @returns {Publisher}
+ */
+export function createPublisher({ target = DEFAULT_PUBLISH_TARGET, baseUrl, repo = DEFAULT_REPO, ref = DEFAULT_REF, dir = DEFAULT_PUBLISH_DIR, prefix = '', s3, cwd = process.cwd() } = {}) {
+  if (!PUBLISH_TARGETS.includes(target)) throw new Error(`Unknown publish target "${target}" (expected ${PUBLISH_TARGETS.join(', ')})`);
+  const [owner, name] = repo.split('/');
+  if (!owner || !name) throw new Error(`Repository must look like owner/name, got "${repo}"`);
+
+  const make = (base, { uploads = false, put = async () => 'unchanged' } = {}) => {
+    const root = withSlash(base);
+    return { target, baseUrl: root, uploads, url: (relPath) => toPublicUrl(relPath, root), put };
+  };
+
+  if (target === 'github-raw') return make(baseUrl || `https://raw.githubusercontent.com/${repo}/refs/heads/${ref}/`);
+  if (target === 'jsdelivr') return make(baseUrl || `https://cdn.jsdelivr.net/gh/${repo}@${ref}/`);
+  if (target === 'github-pages') return make(baseUrl || `https://${owner}.github.io/${name}/`);
+
+  if (target === 'local') {
+    const absDir = path.resolve(cwd, dir);
+    const inPlace = absDir === path.resolve(cwd);
+    return make(baseUrl || '/', {
+      uploads: !inPlace,
+      async put(absFile, relPath) {
+        if (inPlace) return 'unchanged';
+        const dest = path.join(absDir, relPath);
+        const [src, prev] = await Promise.all([fs.readFile(absFile), fs.readFile(dest).catch(() => null)]);
+        if (prev?.equals(src)) return 'unchanged';
+        await fs.mkdir(path.dirname(dest), { recursive: true });
+        await fs.writeFile(dest, src);
+        return 'uploaded';
+      },
+    });
+  }
+
+  // s3
+  const client = createS3Client(s3 || {});
+  const keyPrefix = prefix ? withSlash(prefix.replace(/^\/+/, '')) : '';
+  return make(baseUrl || client.objectUrl(keyPrefix), {
+    uploads: true,
+    async put(absFile, relPath) {
+      const key = keyPrefix + relPath.replaceAll('\\', '/');
+      const body = await fs.readFile(absFile);
+      // single-part uploads: ETag is the MD5 of the bytes
+      const head = await client.headObject(key);
+      if (head?.etag?.replaceAll('"', '') === md5(body)) return 'unchanged';
+      await client.putObject(key, body, { contentType: contentTypeFor(absFile), cacheControl: cacheControlFor(absFile) });
+      return 'uploaded';
+    },
+  });
+}
+
+/**
+ * Publisher options from the environment (CLI flags go on top):
+ *   BLOG_ASSETS_TARGET, BLOG_ASSETS_BASE_URL, BLOG_ASSETS_REPO, BLOG_ASSETS_REF, BLOG_ASSETS_PUBLISH_DIR,
+ *   S3_ENDPOINT, S3_REGION | AWS_REGION, S3_BUCKET, S3_PREFIX,
+ *   S3_ACCESS_KEY_ID | AWS_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY | AWS_SECRET_ACCESS_KEY, AWS_SESSION_TOKEN
+ * @returns {PublisherOptions}
+ */
+export function publisherOptionsFromEnv(env = process.env) {
+  return {
+    target: env.BLOG_ASSETS_TARGET || undefined,
+    baseUrl: env.BLOG_ASSETS_BASE_URL || undefined,
+    repo: env.BLOG_ASSETS_REPO || undefined,
+    ref: env.BLOG_ASSETS_REF || undefined,
+    dir: env.BLOG_ASSETS_PUBLISH_DIR || undefined,
+    prefix: env.S3_PREFIX || undefined,
+    s3: {
+      endpoint: env.S3_ENDPOINT || undefined,
+      region: env.S3_REGION || env.AWS_REGION || undefined,
+      bucket: env.S3_BUCKET || undefined,
+      accessKeyId: env.S3_ACCESS_KEY_ID || env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY || env.AWS_SECRET_ACCESS_KEY,
+      sessionToken: env.AWS_SESSION_TOKEN || undefined,
+    },
+  };
+}
+
+/** Every file under dir (recursive), dotfiles (.sync-cache.json) left out */
+async function listFiles(dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+  const files = [];
+  for (const e of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    if (e.name.startsWith('.')) continue;
+    const abs = path.join(dir, e.name);
+    if (e.isDirectory()) files.push(...(await listFiles(abs)));
+    else if (e.isFile()) files.push(abs);
+  }
+  return files;
+}
+
+// JSON keys whose values are built from basePublicUrl (sticker.json, pack.json, index*.json); store_url is LINE's
+const PUBLIC_URL_KEYS = new Set(['uri', 'base_url', 'manifest', 'thumbnail', 'pages']);
+
+/** Every public URL in a parsed JSON value */
+function publicUrls(value, key, out = []) {
+  if (typeof value === 'string') {
+    if (PUBLIC_URL_KEYS.has(key)) out.push(value);
+  } else if (Array.isArray(value)) {
+    for (const v of value) publicUrls(v, key, out);
+  } else if (value && typeof value === 'object') {
+    for (const [k, v] of Object.entries(value)) publicUrls(v, k, out);
+  }
+  return out;
+}
+
+/**
+ * JSON files that point somewhere else than baseUrl (written for another target), with the first such URL.
+ * Catalog pages are only checked for their page list and the entry of packId: other packs publish on their own.
+ * @param {string[]} absFiles
+ * @returns {Promise<{file:string, url:string}[]>}
+ */
+async function foreignJson(absFiles, baseUrl, { packId, cwd }) {
+  const foreign = [];
+  for (const abs of absFiles.filter(f => /\.json$/i.test(f))) {
+    let json;
+    try {
+      json = JSON.parse(await fs.readFile(abs, 'utf-8'));
+    } catch {
+      continue;
+    }
+    if (/^index(-\d+)?\.json$/.test(path.basename(abs))) {
+      json = { pages: json.pages, packs: (json.packs || []).filter(p => p.id === String(packId)) };
+    }
+    const url = publicUrls(json).find(u => !u.startsWith(baseUrl));
+    if (url) foreign.push({ file: path.relative(cwd, abs).replaceAll('\\', '/'), url });
+  }
+  return foreign;
+}
+
+// files read / hashed / uploaded at once (each put holds the whole file in memory)
+const PUT_CONCURRENCY = 4;
+
+/**
+ * Put repo-relative files on the target, a few at a time; unchanged ones are skipped.
+ * @param {Publisher} publisher
+ * @param {string[]} relPaths
+ * @returns {Promise<{uploaded:string[], unchanged:number, failed:{file:string, error:string}[]}>}
+ */
+export async function publishFiles(publisher, relPaths, { cwd = process.cwd() } = {}) {
+  const result = { uploaded: [], unchanged: 0, failed: [] };
+  if (!publisher.uploads) return { ...result, unchanged: relPaths.length };
+  await mapPool(relPaths, PUT_CONCURRENCY, async (rel) => {
+    try {
+      if ((await publisher.put(path.join(cwd, rel), rel)) === 'uploaded') result.uploaded.push(rel);
+      else result.unchanged++;
+    } catch (e) {
+      result.failed.push({ file: rel, error: e?.message || String(e) });
+    }
+  });
+  result.uploaded.sort();
+  return result;
+}
+
+/**
+ * Publish one pack folder (line-packs-v2/<packId>, without .sync-cache.json) plus the shared files
+ * its JSON points at: the catalog pages and sticker.schema.json.
+ * Nothing is uploaded while a JSON file still has URLs of another base URL (made for another target):
+ * the pack is reported in `failed`; `blog-assets rebuild <packId> --only sprite` with the same target
+ * rewrites them.
+ * @param {string} packId
+ * @param {{publisher: Publisher, cwd?: string}} opts
+ */
+export async function publishPack(packId, { publisher, cwd = process.cwd() }) {
+  const absPackDir = path.join(cwd, PACKS_DIR, String(packId).replace(/[^a-zA-Z0-9._-]/g, '_'));
+  const catalog = (await fs.readdir(path.join(cwd, PACKS_DIR)).catch(() => []))
+    .filter(n => /^index(-\d+)?\.json$/.test(n))
+    .map(n => path.join(cwd, PACKS_DIR, n));
+  const schema = path.join(cwd, STICKER_SCHEMA_FILE);
+  const shared = (await fs.access(schema).then(() => true, () => false)) ? [schema] : [];
+  const files = [...(await listFiles(absPackDir)), ...catalog, ...shared];
+  if (publisher.uploads) {
+    const foreign = await foreignJson(files, publisher.baseUrl, { packId, cwd });
+    if (foreign.length) {
+      const error = `${foreign.length} JSON file(s) point at another base URL than ${publisher.baseUrl} (${foreign[0].file}: ${foreign[0].url}); `
+        + `run \`blog-assets rebuild ${packId} --only sprite\` with --target ${publisher.target} first`;
+      return { uploaded: [], unchanged: 0, failed: [{ file: path.relative(cwd, absPackDir).replaceAll('\\', '/'), error }] };
+    }
+  }
+  return publishFiles(publisher, files.map(f => path.relative(cwd, f).replaceAll('\\', '/')), { cwd });
+}
@@ -0,0 +1,380 @@
+// rebuild.js — regenerate derived files of packs already on disk (no network)
+import path from 'path';
+import { promises as fs } from 'node:fs';
+import { BASE_PUBLIC_URL } from './helpers.js';
+import { readApng } from './apng-model.js';
+import { apngFileToWebp, webpFingerprint } from './apng2webp.js';
+import { apngToAvif, avifFingerprint } from './apng2avif.js';
+import { apngToVideoSiblings, isFfmpegMissing, updateStickerJsonVideo, videoJson, VIDEO_FORMATS } from './apng2video.js';
+import { animationSrcsetJson, buildResponsiveSizes, responsiveFingerprint, responsiveOutputs, srcsetJson, updateStickerJsonSrcset } from './responsive.js';
+import { apngToGif, gifFingerprint } from './apng2gif.v2.js';
+import { generateStickerFromAPNGUrlToFolder, soundJson } from './apng2frame.v2.js';
+import { transcodeAudioSibling } from './audio.js';
+import { PACKS_DIR, PACK_MANIFEST, scanStickerVariants, writePackManifest } from './manifest.js';
+import { updateCatalog } from './catalog.js';
+import { openSyncCache, sha256 } from './sync-cache.js';
+import { STICKER_SCHEMA_VERSION, upgradeSticker } from './sticker-schema.js';
+
+export const DERIVATIVES = ['webp', 'gif', 'sprite', 'ogg', 'avif', 'video', 'sizes'];
+// AVIF, video and sizes are opt-in (same as import --avif / --video / --sizes): only rebuilt when asked for with `only`
+export const DEFAULT_DERIVATIVES = ['webp', 'gif', 'sprite', 'ogg'];
+
+const sanitize = (s) => String(s || '').replace(/[^a-zA-Z0-9._-]/g, '_');
+const sibling = (abs, ext) => path.join(path.dirname(abs), `${path.basename(abs, path.extname(abs))}${ext}`);
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+async function listDirs(dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+  return entries.filter(e => e.isDirectory()).map(e => e.name).sort();
+}
+
+/** Converted animation matches the APNG: same frame count and frame size */
+const sameAnimation = (src, out) =>
+  !!out && out.frame_count === src.frame_count && out.width === src.width && out.height === src.height;
+
+/**
+ * Derivatives one variant group (the sticker itself, or its `popup`) should have, as jobs:
+ *   { kind, src, outs: [abs...], fingerprint?, valid: bool (outputs on disk look right), build: () => Promise<result|null> }
+ * A null build result means the tool is unavailable (e.g. no ffmpeg) and the job is skipped.
+ * fingerprint: options the cached derived record must match (GIF backend order + encoder options,
+ * WebP profile + budget; same as index.js).
+ */
+async function groupJobs(group, { only, stickerVariants, overlay, cwd, basePublicUrl, packMeta, spriteOpts, gifOpts, webpOpts, avifOpts, videoOpts, sizesOpts }) {
+  const jobs = [];
+  const { apng, sound } = group;
+
+  if (apng) {
+    const webp = sibling(apng.abs, '.webp');
+    jobs.push({
+      kind: 'webp',
+      src: apng,
+      outs: [webp],
+      fingerprint: webpFingerprint(webpOpts),
+      valid: group.webp?.abs === webp && sameAnimation(apng, group.webp),
+      build: () => apngFileToWebp(apng.abs, webp, webpOpts),
+    });
+
+    const gif = sibling(apng.abs, '.gif');
+    jobs.push({
+      kind: 'gif',
+      src: apng,
+      outs: [gif],
+      fingerprint: gifFingerprint(gifOpts),
+      valid: group.gif?.abs === gif && sameAnimation(apng, group.gif),
+      build: () => apngToGif(apng.abs, gif, gifOpts),
+    });
+  }
+
+  // avif: animated from the APNG, still from the static PNG
+  for (const [src, kind] of [[apng, 'avif'], [group.static, 'avif_static']]) {
+    if (!src) continue;
+    const avif = sibling(src.abs, '.avif');
+    jobs.push({
+      kind: 'avif',
+      src,
+      outs: [avif],
+      fingerprint: avifFingerprint(avifOpts),
+      valid: group[kind]?.abs === avif && group[kind].width === src.width && group[kind].height === src.height,
+      build: () => apngToAvif(src.abs, avif, avifOpts),
+    });
+  }
+
+  // video: WebM + MP4 of the APNG; before the sprite so a rebuilt sticker.json lists them
+  if (apng) {
+    const outs = VIDEO_FORMATS.map(f => sibling(apng.abs, `.${f}`));
+    jobs.push({
+      kind: 'video',
+      src: apng,
+      outs,
+      fingerprint: JSON.stringify(videoOpts),
+      valid: VIDEO_FORMATS.every((f, i) => group[f]?.abs === outs[i]),
+      build: async () => {
+        let res;
+        try {
+          res = await apngToVideoSiblings(apng.abs, videoOpts);
+        } catch (e) {
+          if (isFfmpegMissing(e)) return null;
+          throw e;
+        }
+        await updateStickerJsonVideo({
+          jsonPath: path.join(path.dirname(apng.abs), 'sticker.json'),
+          basePublicDir: cwd,
+          basePublicUrl,
+          apngRelPath: apng.rel,
+        });
+        return res;
+      },
+    });
+  }
+
+  // sizes: downscaled PNG (+ WebP / GIF / AVIF) of the APNG and of the static PNG; before the sprite
+  // so a rebuilt sticker.json lists the srcset. Runs after webp/gif/avif (job order) to pick up new siblings.
+  // Only when asked for: the PNG header is read here already, a broken file must not fail other kinds.
+  for (const src of only.includes('sizes') ? [apng, group.static] : []) {
+    if (!src) continue;
+    const widths = [src, ...['webp', 'gif', 'avif', 'avif_static'].map(k => group[k])]
+      .filter(v => v?.abs && path.dirname(v.abs) === path.dirname(src.abs))
+      .map(v => (v.srcset || []).map(s => s.width).join(','));
+    let outs, fingerprint;
+    try {
+      outs = await responsiveOutputs(src.abs, sizesOpts);
+      fingerprint = await responsiveFingerprint(src.abs, sizesOpts);
+    } catch (e) {
+      jobs.push({ kind: 'sizes', src, outs: [], valid: false, build: () => Promise.reject(e) }); // reported as failed
+      continue;
+    }
+    const job = {
+      kind: 'sizes',
+      src,
+      outs,
+      fingerprint,
+      // every format of this source has the same widths, and there is at least one
+      valid: !!src.srcset?.length && widths.every(w => w === widths[0]),
+      build: async () => {
+        const res = await buildResponsiveSizes(src.abs, { ...sizesOpts, webpOptions: webpOpts, gifOptions: gifOpts, avifOptions: avifOpts });
+        job.fingerprint = await responsiveFingerprint(src.abs, sizesOpts); // siblings made earlier in this run count
+        await updateStickerJsonSrcset({
+          stickerDir: path.dirname(path.dirname(src.abs)),
+          basePublicDir: cwd,
+          basePublicUrl,
+          relPath: src.rel,
+        });
+        return res;
+      },
+    };
+    jobs.push(job);
+  }
+
+  // sprite: every APNG, plus static stickers that carry a sound (same rule as buildSpriteForPackV2)
+  const spriteSrc = apng || (sound && group.static);
+  if (spriteSrc) {
+    const outDir = path.dirname(spriteSrc.abs);
+    const spritePath = path.join(outDir, 'spritesheet.png');
+    const jsonPath = path.join(outDir, 'sticker.json');
+    const atlasPath = path.join(outDir, 'spritesheet.json');
+    const raw = group.sticker_json?.abs === jsonPath ? await readJson(jsonPath) : null;
+    const prev = raw && upgradeSticker(raw);
+    const atlas = spriteOpts.spriteLayout === 'atlas';
+
+    jobs.push({
+      kind: 'sprite',
+      src: spriteSrc,
+      outs: atlas ? [spritePath, jsonPath, atlasPath] : [spritePath, jsonPath],
+      // sticker.json of an older schema version counts as stale (rebuilt as the current one)
+      valid: group.spritesheet?.abs === spritePath && raw?.schema_version === STICKER_SCHEMA_VERSION
+        && !!prev?.sprite_image?.uri?.startsWith(basePublicUrl) // URLs of another publish target: rewrite
+        && prev?.frame_count === spriteSrc.frame_count
+        && !!prev?.animation_srcset === !!spriteSrc.srcset?.length // sizes made before sticker.json listed them
+        && prev?.image?.width === spriteSrc.width && prev?.image?.height === spriteSrc.height
+        && (prev?.layout === 'atlas') === atlas
+        && (atlas ? group.texture_atlas?.abs === atlasPath : Array.isArray(prev?.frames) === spriteOpts.frameData),
+      build: async () => {
+        const soundVariant = sound || stickerVariants.sound;
+        const thumb = stickerVariants.static || spriteSrc;
+        return generateStickerFromAPNGUrlToFolder({
+          model: await readApng(spriteSrc.abs),
+          apngPath: spriteSrc.abs,
+          outDir,
+          // giữ lại các giá trị đã chỉnh tay trong sticker.json cũ (label, pack name, cols)
+          cols: spriteOpts.cols ?? prev?.columns ?? 8,
+          padding: spriteOpts.padding ?? ((prev?.layout === 'atlas') === atlas ? prev?.padding : undefined) ?? 0,
+          label: spriteOpts.label ?? prev?.label ?? (packMeta.title ? `${packMeta.title} ${path.basename(path.dirname(outDir))}` : 'Sticker animation'),
+          packName: spriteOpts.packName ?? prev?.pack?.name ?? packMeta.title ?? 'My Sticker Pack',
+          packMeta,
+          video: await videoJson({ basePublicDir: cwd, basePublicUrl, apngRelPath: spriteSrc.rel }),
+          srcset: await srcsetJson({ basePublicDir: cwd, basePublicUrl, relPath: thumb.rel }),
+          animationSrcset: await animationSrcsetJson({ basePublicDir: cwd, basePublicUrl, apngRelPath: spriteSrc.rel }),
+          frameData: spriteOpts.frameData,
+          spriteLayout: spriteOpts.spriteLayout,
+          sound: soundVariant
+            ? await soundJson({ basePublicDir: cwd, basePublicUrl, soundRelPath: soundVariant.rel })
+            : undefined,
+          overlay: overlay ? prev?.overlay_type || 'popup' : undefined,
+          basePublicUrl,
+          spriteRelPath: path.relative(cwd, spritePath).replaceAll('\\', '/'),
+          thumbRelPath: thumb.rel,
+        });
+      },
+    });
+  }
+
+  if (sound) {
+    const ogg = sibling(sound.abs, '.ogg');
+    jobs.push({
+      kind: 'ogg',
+      src: sound,
+      outs: [ogg],
+      valid: group.sound_ogg?.abs === ogg,
+      build: () => transcodeAudioSibling(sound.abs),
+    });
+  }
+
+  return jobs;
+}
+
+/**
+ * Regenerate missing or stale derivatives (webp, gif, sprite + sticker.json, ogg; avif / video / sizes on request) of one pack
+ * from the APNG / PNG / audio files already in line-packs-v2/<packId>. Never touches the network.
+ *
+ * Stale = the source changed since the derivative was made (per .sync-cache.json), or the output is
+ * missing / does not match the source (frame count, frame size, sticker.json fields). Outputs made
+ * before the cache existed are adopted as-is when they match.
+ *
+ * @param {string} packId
+ * @param {object} [opts]
+ * @param {string[]} [opts.only]        subset of DERIVATIVES (default: all but avif, video and sizes)
+ * @param {boolean} [opts.force]        rebuild everything regardless of cache / outputs
+ * @param {boolean} [opts.dryRun]       report what would be rebuilt, write nothing
+ * @param {number} [opts.cols]          sprite options; default: previous sticker.json, then 8
+ * @param {number} [opts.padding]
+ * @param {string} [opts.label]
+ * @param {string} [opts.packName]
+ * @param {boolean} [opts.frameData=true]  sticker.json per-frame data (sprites without it count as stale)
+ * @param {'grid'|'atlas'} [opts.spriteLayout='grid']  sprites in the other layout count as stale
+ * @param {object} [opts.gifOptions]    passed to apngToGif ({ backend } forces one, { exclude } skips some)
+ * @param {object} [opts.webpOptions]   passed to encodeWebp ({ profile, maxBytes })
+ * @param {object} [opts.avifOptions]   passed to apngToAvif ({ quality, effort })
+ * @param {object} [opts.videoOptions]  passed to apngToVideoSiblings ({ fps, background, crf, plays })
+ * @param {object} [opts.sizesOptions]  passed to buildResponsiveSizes ({ sizes, densities })
+ * @returns {Promise<{packId:string, built:object[], fresh:number, skipped:object[], failed:object[]}>}
+ */
+export async function rebuildPack(packId, {
+  only = DEFAULT_DERIVATIVES,
+  force = false,
+  dryRun = false,
+  cols,
+  padding,
+  label,
+  packName,
+  frameData = true,
+  spriteLayout = 'grid',
+  gifOptions,
+  webpOptions,
+  avifOptions,
+  videoOptions,
+  sizesOptions,
+  basePublicUrl = BASE_PUBLIC_URL,
+  cwd = process.cwd(),
+} = {}) {
+  for (const kind of only) {
+    if (!DERIVATIVES.includes(kind)) throw new Error(`Unknown derivative "${kind}" (expected ${DERIVATIVES.join(', ')})`);
+  }
+
+  const absPackDir = path.join(cwd, PACKS_DIR, sanitize(packId));
+  const stat = await fs.stat(absPackDir).catch(() => null);
+  if (!stat?.isDirectory()) throw new Error(`Pack not found: ${path.relative(cwd, absPackDir)}`);
+
+  const prevManifest = (await readJson(path.join(absPackDir, PACK_MANIFEST))) || {};
+  const packMeta = {
+    title: prevManifest.name ?? undefined,
+    author: prevManifest.author ?? undefined,
+    description: prevManifest.description ?? undefined,
+    productType: prevManifest.product_type ?? undefined,
+  };
+  const ctx = {
+    only,
+    cwd,
+    basePublicUrl,
+    packMeta,
+    spriteOpts: { cols, padding, label, packName, frameData, spriteLayout },
+    gifOpts: gifOptions || {},
+    webpOpts: webpOptions || {},
+    avifOpts: avifOptions || {},
+    videoOpts: videoOptions || {},
+    sizesOpts: sizesOptions || {},
+  };
+
+  const cache = await openSyncCache(absPackDir, { force });
+  const changedSrc = new Map(); // abs -> source bytes differ from the cached hash
+  const srcChanged = async (abs) => {
+    if (!changedSrc.has(abs)) changedSrc.set(abs, cache.track(abs, sha256(await fs.readFile(abs))));
+    return changedSrc.get(abs);
+  };
+
+  const built = [], skipped = [], failed = [];
+  const conversions = {}; // gif/webp rel path -> {backend, size, warnings} / {size, encoding} for pack.json
+  let fresh = 0;
+
+  for (const stickerId of await listDirs(absPackDir)) {
+    const variants = await scanStickerVariants(path.join(absPackDir, stickerId), { cwd });
+    const { popup, ...own } = variants;
+    const jobs = [
+      ...(await groupJobs(own, { ...ctx, stickerVariants: own })),
+      ...(popup ? await groupJobs(popup, { ...ctx, stickerVariants: own, overlay: true }) : []),
+    ].filter(j => only.includes(j.kind));
+
+    for (const job of jobs) {
+      const rel = (abs) => path.relative(cwd, abs).replaceAll('\\', '/');
+      const changed = await srcChanged(job.src.abs);
+
+      if (!force && job.valid) {
+        if (await cache.isDerivedFresh(job.src.abs, job.kind, job.outs, job.fingerprint)) {
+          fresh++;
+          continue;
+        }
+        if (!changed && !cache.hasDerived(job.src.abs, job.kind)) {
+          cache.markDerived(job.src.abs, job.kind, job.fingerprint); // made before the cache existed, still matches
+          fresh++;
+          continue;
+        }
+      }
+
+      const entry = { id: stickerId, kind: job.kind, src: rel(job.src.abs), outs: job.outs.map(rel) };
+      if (dryRun) {
+        built.push(entry);
+        continue;
+      }
+      try {
+        const res = await job.build();
+        if (res === null) {
+          skipped.push({ ...entry, reason: 'tool not available' });
+          continue;
+        }
+        cache.markDerived(job.src.abs, job.kind, job.fingerprint);
+        if (job.kind === 'gif') {
+          const { backend, size, warnings } = res;
+          conversions[entry.outs[0]] = { backend, size, ...(warnings.length ? { warnings } : {}) };
+          entry.backend = backend;
+        }
+        if (job.kind === 'avif') conversions[entry.outs[0]] = { size: res.size, encoding: res.encoding };
+        if (job.kind === 'video') {
+          for (const { out, size, duration } of Object.values(res)) conversions[rel(out)] = { size, duration };
+        }
+        if (job.kind === 'webp') {
+          conversions[entry.outs[0]] = res;
+          if (res.encoding.over_budget) entry.over_budget = res.size;
+        }
+        built.push(entry);
+      } catch (e) {
+        failed.push({ ...entry, error: e?.message || String(e), ...(e?.warnings ? { warnings: e.warnings } : {}) });
+      }
+    }
+  }
+
+  if (!dryRun) {
+    await cache.save();
+    // pack.json written for another publish target is rewritten even when no file was rebuilt
+    const retarget = !!prevManifest.base_url && !prevManifest.base_url.startsWith(basePublicUrl);
+    if (built.length || retarget) {
+      const { manifest } = await writePackManifest(packId, { cwd, basePublicUrl, conversions });
+      await updateCatalog(manifest, { cwd, basePublicUrl });
+    }
+  }
+  return { packId: String(packId), built, fresh, skipped, failed };
+}
+
+/** rebuildPack for every pack under line-packs-v2 (or the given ids) */
+export async function rebuildPacks(packIds = [], opts = {}) {
+  const cwd = opts.cwd || process.cwd();
+  const ids = packIds.length ? packIds : await listDirs(path.join(cwd, PACKS_DIR));
+  const results = [];
+  for (const packId of ids) results.push(await rebuildPack(packId, opts));
+  return results;
+}
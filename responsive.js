@@ -0,0 +1,244 @@
+// responsive.js — downscaled copies of sticker images for srcset: <base>/sizes/<base>-<width>w.<ext>
+import path from 'path';
+import { promises as fs } from 'node:fs';
+import { crc32 } from 'node:zlib';
+import sharp from 'sharp';
+import UPNG from 'upng-js';
+import { readApng } from './apng-model.js';
+import { readPngInfo } from './helpers.js';
+import { encodeWebp } from './apng2webp.js';
+import { encodeGif } from './apng2gif.js';
+import { apngToAvif } from './apng2avif.js';
+import { assertSticker, readStickerJson } from './sticker-schema.js';
+
+export const SIZES_DIR = 'sizes';
+export const DEFAULT_SIZES = [32, 64, 128];
+export const DEFAULT_DENSITIES = [1, 2];
+
+// formats a source PNG / APNG can have next to it; `png` is the source itself
+const FORMATS = ['png', 'webp', 'gif', 'avif'];
+
+export const sizedName = (base, width, ext) => `${base}-${width}w.${ext}`;
+export const SIZED_RE = /^(.+)-(\d+)w\.(png|webp|gif|avif)$/i;
+
+const fileExists = (file) => fs.access(file).then(() => true, () => false);
+
+/**
+ * Target widths: every size at every density (@1x, @2x, ...), smallest first.
+ * Widths at or above the source width are dropped — the original already covers them.
+ * @param {{sizes?: number[], densities?: number[]}} opts
+ * @param {number} sourceWidth
+ */
+export function responsiveWidths({ sizes = DEFAULT_SIZES, densities = DEFAULT_DENSITIES } = {}, sourceWidth = Infinity) {
+  const widths = new Set();
+  for (const s of sizes) for (const d of densities) widths.add(Math.round(s * d));
+  return [...widths].filter(w => w > 0 && w < sourceWidth).sort((a, b) => a - b);
+}
+
+/** Formats present for one source: png (the source itself) + webp / gif / avif siblings */
+async function siblingFormats(pngPath) {
+  const dir = path.dirname(pngPath);
+  const base = path.basename(pngPath, path.extname(pngPath));
+  const formats = [];
+  for (const ext of FORMATS) {
+    if (ext === 'png' || (await fileExists(path.join(dir, `${base}.${ext}`)))) formats.push(ext);
+  }
+  return formats;
+}
+
+/**
+ * Cache fingerprint for the sizes of pngPath: wanted widths + the formats next to it
+ * (a new WebP / GIF / AVIF sibling means new sizes to make)
+ */
+export async function responsiveFingerprint(pngPath, opts = {}) {
+  return `${responsiveWidths(opts).join(',')};${(await siblingFormats(pngPath)).join(',')}`;
+}
+
+/** Sized files buildResponsiveSizes(pngPath, opts) writes, for cache checks (reads the PNG header only) */
+export async function responsiveOutputs(pngPath, opts = {}) {
+  const { width } = readPngInfo(await fs.readFile(pngPath));
+  const dir = path.join(path.dirname(pngPath), SIZES_DIR);
+  const base = path.basename(pngPath, path.extname(pngPath));
+  const formats = await siblingFormats(pngPath);
+  return responsiveWidths(opts, width).flatMap(w => formats.map(ext => path.join(dir, sizedName(base, w, ext))));
+}
+
+/** [width, height] scaled so the longest side is `side` (up or down), aspect ratio kept */
+export function fitLongestSide(width, height, side) {
+  const scale = side / Math.max(width, height);
+  return [Math.max(1, Math.round(width * scale)), Math.max(1, Math.round(height * scale))];
+}
+
+/**
+ * Resize every frame of a decoded APNG (apng-model.js) to `width` (height keeps the aspect ratio unless given).
+ * Lanczos3 on premultiplied alpha (sharp's default), so transparent edges don't pick up dark fringes.
+ * @returns {Promise<import('./apng-model.js').ApngModel>}
+ */
+export async function resizeModel(model, width, height = Math.max(1, Math.round((model.height * width) / model.width))) {
+  const frames = [];
+  for (const f of model.frames) {
+    const rgba = await sharp(Buffer.from(f.rgba.buffer, f.rgba.byteOffset, f.rgba.length), {
+      raw: { width: model.width, height: model.height, channels: 4 },
+    })
+      .resize(width, height, { kernel: 'lanczos3', fit: 'fill' })
+      .raw()
+      .toBuffer();
+    frames.push({ ...f, rgba: new Uint8Array(rgba.buffer, rgba.byteOffset, rgba.length) });
+  }
+  return { ...model, width, height, frames };
+}
+
+/** UPNG always writes num_plays = 0 (forever): patch acTL with the source loop count */
+function setNumPlays(png, numPlays) {
+  const at = png.indexOf('acTL');
+  if (at < 0 || !numPlays) return png;
+  png.writeUInt32BE(numPlays, at + 8);
+  png.writeUInt32BE(crc32(png.subarray(at, at + 12)), at + 12);
+  return png;
+}
+
+/** Decoded model -> PNG (still) or APNG bytes, lossless */
+export async function encodePng(model) {
+  const { width, height } = model;
+  if (!model.animated) {
+    const f = model.frames[0].rgba;
+    return sharp(Buffer.from(f.buffer, f.byteOffset, f.length), { raw: { width, height, channels: 4 } })
+      .png({ compressionLevel: 9 })
+      .toBuffer();
+  }
+  const bufs = model.frames.map(f => f.rgba.slice().buffer);
+  const png = Buffer.from(UPNG.encode(bufs, width, height, 0, model.frames.map(f => f.delay || 0)));
+  return setNumPlays(png, model.numPlays);
+}
+
+/**
+ * Write sizes/<base>-<w>w.<ext> for one PNG / APNG in every format that sits next to it
+ * (png always; webp, gif, avif when <base>.webp/.gif/.avif exist), and drop sizes no longer wanted.
+ * Animated AVIF sizes need ffmpeg like apngToAvif; they are left out (and reported) without it.
+ *
+ * @param {string} pngPath
+ * @param {object} [opts]
+ * @param {number[]} [opts.sizes=[32,64,128]]   CSS px widths
+ * @param {number[]} [opts.densities=[1,2]]     pixel densities (2 = @2x)
+ * @param {object} [opts.webpOptions]           encodeWebp options for the WebP sizes
+ * @param {object} [opts.gifOptions]            encodeGif options for the GIF sizes (always gifwrap)
+ * @param {object} [opts.avifOptions]           apngToAvif options for the AVIF sizes
+ * @returns {Promise<{widths:number[], files:string[], skipped:string[]}>}
+ */
+export async function buildResponsiveSizes(pngPath, { sizes, densities, webpOptions, gifOptions, avifOptions } = {}) {
+  const model = await readApng(pngPath);
+  const dir = path.dirname(pngPath);
+  const base = path.basename(pngPath, path.extname(pngPath));
+  const sizesDir = path.join(dir, SIZES_DIR);
+
+  const formats = await siblingFormats(pngPath);
+  const widths = responsiveWidths({ sizes, densities }, model.width);
+  await fs.mkdir(sizesDir, { recursive: true });
+
+  const files = [], skipped = [];
+  for (const width of widths) {
+    const m = await resizeModel(model, width);
+    const out = (ext) => path.join(sizesDir, sizedName(base, width, ext));
+
+    // png first: the animated AVIF is made from it
+    await fs.writeFile(out('png'), await encodePng(m));
+    files.push(out('png'));
+    if (formats.includes('webp')) {
+      await encodeWebp(m, out('webp'), webpOptions);
+      files.push(out('webp'));
+    }
+    if (formats.includes('gif')) {
+      await fs.writeFile(out('gif'), await encodeGif(m, gifOptions));
+      files.push(out('gif'));
+    }
+    if (formats.includes('avif')) {
+      if (await apngToAvif(out('png'), out('avif'), avifOptions)) files.push(out('avif'));
+      else skipped.push(out('avif'));
+    }
+  }
+
+  // widths / formats that are no longer wanted
+  for (const name of await fs.readdir(sizesDir)) {
+    const abs = path.join(sizesDir, name);
+    if (SIZED_RE.exec(name)?.[1] === base && !files.includes(abs)) await fs.unlink(abs);
+  }
+  if (!(await fs.readdir(sizesDir)).length) await fs.rmdir(sizesDir);
+
+  return { widths, files, skipped };
+}
+
+/**
+ * sticker.json `image.srcset` for the sizes of one image: [{uri, width, height}] smallest first,
+ * or undefined when there are none.
+ * @param {{basePublicDir:string, basePublicUrl:string, relPath:string, ext?:string}} args  relPath relative to
+ *   basePublicDir; ext: format of the sized files (default: relPath's own, e.g. the webp sizes of a PNG source)
+ */
+export async function srcsetJson({ basePublicDir, basePublicUrl, relPath, ext = path.extname(relPath).slice(1).toLowerCase() }) {
+  const base = path.basename(relPath, path.extname(relPath));
+  const relDir = path.posix.join(path.posix.dirname(relPath), SIZES_DIR);
+  const names = await fs.readdir(path.join(basePublicDir, relDir)).catch(() => []);
+
+  const srcset = [];
+  for (const name of names) {
+    const m = SIZED_RE.exec(name);
+    if (!m || m[1] !== base || m[3].toLowerCase() !== ext) continue;
+    const { width, height } = await sharp(path.join(basePublicDir, relDir, name)).metadata();
+    srcset.push({ uri: (basePublicUrl + `${relDir}/${name}`).replace(/([^:]\/)\/+/g, '$1'), width, height });
+  }
+  srcset.sort((a, b) => a.width - b.width);
+  return srcset.length ? srcset : undefined;
+}
+
+// sized formats of the sprite source -> key in sticker.json `animation_srcset` (the sized PNGs of an APNG are APNGs)
+const ANIMATION_SRCSET_KEYS = { png: 'apng', webp: 'webp', gif: 'gif', avif: 'avif' };
+
+/**
+ * sticker.json `animation_srcset`: the sizes of the APNG the sprite is made from, one srcset per format
+ * ({apng, webp, gif, avif}, only formats that have sizes), or undefined when there are none.
+ * @param {{basePublicDir:string, basePublicUrl:string, apngRelPath:string}} args
+ */
+export async function animationSrcsetJson({ basePublicDir, basePublicUrl, apngRelPath }) {
+  const out = {};
+  for (const [ext, key] of Object.entries(ANIMATION_SRCSET_KEYS)) {
+    const srcset = await srcsetJson({ basePublicDir, basePublicUrl, relPath: apngRelPath, ext });
+    if (srcset) out[key] = srcset;
+  }
+  return Object.keys(out).length ? out : undefined;
+}
+
+/**
+ * Refresh `image.srcset` in the sticker.json files of one sticker whose `image` is relPath, and
+ * `animation_srcset` in the sticker.json next to relPath (the sprite source), after (re)making its sizes.
+ * sticker.json lives next to the APNG, the image is the static PNG, so every sub folder of the sticker
+ * is checked. Files are upgraded and checked against the schema before writing.
+ * @param {{stickerDir:string, basePublicDir:string, basePublicUrl:string, relPath:string}} args
+ */
+export async function updateStickerJsonSrcset({ stickerDir, ...args }) {
+  const uri = (args.basePublicUrl + args.relPath).replace(/([^:]\/)\/+/g, '$1');
+  const srcset = await srcsetJson(args);
+  const spriteDir = path.resolve(args.basePublicDir, path.dirname(args.relPath));
+  const subs = await fs.readdir(stickerDir, { withFileTypes: true }).catch(() => []);
+  for (const sub of subs.filter(e => e.isDirectory())) {
+    const jsonPath = path.join(stickerDir, sub.name, 'sticker.json');
+    let sticker;
+    try {
+      sticker = await readStickerJson(jsonPath);
+    } catch {
+      continue;
+    }
+    const isImage = sticker.image?.uri === uri;
+    const isSpriteSource = path.resolve(stickerDir, sub.name) === spriteDir;
+    if (!isImage && !isSpriteSource) continue;
+    if (isImage) {
+      if (srcset) sticker.image.srcset = srcset;
+      else delete sticker.image.srcset;
+    }
+    if (isSpriteSource) {
+      const animationSrcset = await animationSrcsetJson({ ...args, apngRelPath: args.relPath });
+      if (animationSrcset) sticker.animation_srcset = animationSrcset;
+      else delete sticker.animation_srcset;
+    }
+    assertSticker(sticker, jsonPath);
+    await fs.writeFile(jsonPath, JSON.stringify(sticker, null, 2), 'utf-8');
+  }
+}
@@ -0,0 +1,115 @@
+// s3.js — minimal S3-compatible client (AWS S3, MinIO, R2, ...): Signature V4 + HEAD / PUT object over fetch
+import { createHash, createHmac } from 'node:crypto';
+import { createScheduler } from './helpers.js';
+
+const hmac = (key, data) => createHmac('sha256', key).update(data).digest();
+const hashHex = (data) => createHash('sha256').update(data).digest('hex');
+
+/** RFC 3986 encoding as S3 expects it (encodeURIComponent leaves !'()* alone) */
+const uriEncode = (s) => encodeURIComponent(s).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+/** Object key -> URL path, '/' kept */
+export const encodeKey = (key) => key.split('/').map(uriEncode).join('/');
+
+// uploads get their own scheduler: same retry/backoff as downloads, no per-host gap
+const uploads = createScheduler({ hostIntervalMs: 0, concurrency: 4, timeoutMs: 120000 });
+
+/**
+ * AWS Signature Version 4 headers for one request (header-based auth, payload hashed).
+ * `url` must already be encoded (see encodeKey); the returned headers go straight to fetch().
+ * @param {object} req
+ * @param {string} req.method
+ * @param {string} req.url
+ * @param {Record<string,string>} [req.headers]
+ * @param {Buffer|string} [req.body]
+ * @param {string} req.region
+ * @param {string} [req.service='s3']
+ * @param {string} req.accessKeyId
+ * @param {string} req.secretAccessKey
+ * @param {string} [req.sessionToken]
+ * @param {Date} [req.date]
+ * @returns {Record<string,string>}
+ */
+export function signRequest({ method, url, headers = {}, body, region, service = 's3', accessKeyId, secretAccessKey, sessionToken, date = new Date() }) {
+  const u = new URL(url);
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, ''); // 20130524T000000Z
+  const day = amzDate.slice(0, 8);
+
+  const all = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), String(v)]));
+  all.host = u.host;
+  all['x-amz-date'] = amzDate;
+  all['x-amz-content-sha256'] ??= hashHex(body ?? '');
+  if (sessionToken) all['x-amz-security-token'] = sessionToken;
+
+  const names = Object.keys(all).sort();
+  const canonicalHeaders = names.map(n => `${n}:${all[n].trim().replace(/\s+/g, ' ')}\n`).join('');
+  const signedHeaders = names.join(';');
+  const query = [...u.searchParams]
+    .map(([k, v]) => [uriEncode(k), uriEncode(v)])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([k, v]) => `${k}=${v}`)
+    .join('&');
+  const canonical = [method, u.pathname, query, canonicalHeaders, signedHeaders, all['x-amz-content-sha256']].join('\n');
+
+  const scope = `${day}/${region}/${service}/aws4_request`;
+  const toSign = ['AWS4-HMAC-SHA256', amzDate, scope, hashHex(canonical)].join('\n');
+  const key = ['aws4_request', service, region, day].reduceRight((k, part) => hmac(k, part), `AWS4${secretAccessKey}`);
+  const signature = createHmac('sha256', key).update(toSign).digest('hex');
+
+  delete all.host; // fetch sets it from the URL
+  return { ...all, authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}` };
+}
+
+/**
+ * @typedef {Object} S3Options
+ * @property {string} bucket
+ * @property {string} [endpoint]        e.g. http://localhost:9000 for MinIO; default https://s3.<region>.amazonaws.com
+ * @property {string} [region='us-east-1']
+ * @property {string} accessKeyId
+ * @property {string} secretAccessKey
+ * @property {string} [sessionToken]
+ * @property {boolean} [pathStyle=true] <endpoint>/<bucket>/<key> (MinIO); false: <bucket>.<endpoint host>/<key>
+ */
+
+/**
+ * S3 client for one bucket.
+ * @param {S3Options} opts
+ */
+export function createS3Client({ bucket, endpoint, region = 'us-east-1', accessKeyId, secretAccessKey, sessionToken, pathStyle = true }) {
+  if (!bucket) throw new Error('S3: bucket is required');
+  if (!accessKeyId || !secretAccessKey) throw new Error('S3: access key id and secret access key are required');
+  const ep = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+  const base = pathStyle
+    ? `${ep.origin}${ep.pathname.replace(/\/+$/, '')}/${uriEncode(bucket)}/`
+    : `${ep.protocol}//${bucket}.${ep.host}/`;
+  const objectUrl = (key) => base + encodeKey(key);
+
+  async function request(method, key, { body, headers } = {}) {
+    const url = objectUrl(key);
+    const signed = signRequest({ method, url, headers, body, region, accessKeyId, secretAccessKey, sessionToken });
+    return uploads.fetch(url, { method, headers: signed, body });
+  }
+
+  return {
+    bucket,
+    objectUrl,
+
+    /** {etag, size} of an object, null when it does not exist */
+    async headObject(key) {
+      const res = await request('HEAD', key);
+      if (res.status === 404) return null;
+      if (!res.ok) throw new Error(`S3 HEAD ${key} failed: ${res.status}`);
+      return { etag: res.headers.get('etag'), size: Number(res.headers.get('content-length')) };
+    },
+
+    /** Upload one object (single PUT, fine for sticker-sized files) */
+    async putObject(key, body, { contentType, cacheControl } = {}) {
+      const headers = {};
+      if (contentType) headers['content-type'] = contentType;
+      if (cacheControl) headers['cache-control'] = cacheControl;
+      const res = await request('PUT', key, { body, headers });
+      if (!res.ok) throw new Error(`S3 PUT ${key} failed: ${res.status} ${(await res.text()).slice(0, 200)}`);
+      return { etag: res.headers.get('etag') };
+    },
+  };
+}
@@ -0,0 +1,122 @@
+// sticker-schema.js — sticker.json versions: validation against sticker.schema.json + reading version 1 files
+import { readFileSync, promises as fs } from 'node:fs';
+
+export const STICKER_SCHEMA_VERSION = 2;
+export const STICKER_SCHEMA_FILE = 'sticker.schema.json';
+
+/** The published JSON Schema (sticker.schema.json next to this file) */
+export const STICKER_SCHEMA = JSON.parse(readFileSync(new URL(`./${STICKER_SCHEMA_FILE}`, import.meta.url), 'utf-8'));
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+const TYPE_CHECKS = {
+  object: isObject,
+  array: Array.isArray,
+  string: (v) => typeof v === 'string',
+  boolean: (v) => typeof v === 'boolean',
+  number: (v) => typeof v === 'number' && Number.isFinite(v),
+  integer: Number.isInteger,
+  null: (v) => v === null,
+};
+
+/** '#/$defs/image' -> schema node */
+function resolveRef(ref) {
+  if (!ref.startsWith('#/')) throw new Error(`Unsupported $ref: ${ref}`);
+  return ref.slice(2).split('/').reduce((node, key) => node?.[key], STICKER_SCHEMA);
+}
+
+/**
+ * The JSON Schema keywords sticker.schema.json uses (type, const, enum, minimum, minItems,
+ * required, properties, items, allOf, if/then/else, $ref); anything else is ignored.
+ */
+function check(schema, value, at, errors) {
+  if (schema.$ref) check(resolveRef(schema.$ref), value, at, errors);
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(t => TYPE_CHECKS[t]?.(value))) {
+      errors.push(`${at}: expected ${types.join(' or ')}`);
+      return;
+    }
+  }
+  if ('const' in schema && value !== schema.const) errors.push(`${at}: must be ${JSON.stringify(schema.const)}`);
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${at}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  if (schema.minimum != null && typeof value === 'number' && value < schema.minimum) errors.push(`${at}: must be >= ${schema.minimum}`);
+
+  if (isObject(value)) {
+    for (const key of schema.required || []) if (!(key in value)) errors.push(`${at}: missing "${key}"`);
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (key in value) check(sub, value[key], `${at}.${key}`, errors);
+    }
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) errors.push(`${at}: needs at least ${schema.minItems} item(s)`);
+    if (schema.items) value.forEach((v, i) => check(schema.items, v, `${at}[${i}]`, errors));
+  }
+
+  for (const sub of schema.allOf || []) check(sub, value, at, errors);
+  if (schema.if) {
+    const branch = validate(schema.if, value).length ? schema.else : schema.then;
+    if (branch) check(branch, value, at, errors);
+  }
+}
+
+function validate(schema, value) {
+  const errors = [];
+  check(schema, value, '$', errors);
+  return errors;
+}
+
+/**
+ * Problems of a sticker.json object against the current schema ([] = valid)
+ * @param {object} sticker
+ * @returns {string[]}  e.g. ['$.columns: must be >= 1', '$: missing "label"']
+ */
+export function validateSticker(sticker) {
+  return validate(STICKER_SCHEMA, sticker);
+}
+
+/** Throw when sticker does not match the schema (writers call this before writing sticker.json) */
+export function assertSticker(sticker, where = 'sticker.json') {
+  const errors = validateSticker(sticker);
+  if (errors.length) throw new Error(`${where} does not match ${STICKER_SCHEMA_FILE} v${STICKER_SCHEMA_VERSION}: ${errors.join('; ')}`);
+  return sticker;
+}
+
+/**
+ * Version 1 sticker.json (no schema_version) -> current version, in memory.
+ * v1 wrote `frames_per_column: cols, frames_per_row: rows` (names swapped), had no frame size
+ * other than `image` and no padding: padding comes from frames[] when there are two frames
+ * in a row, else the writer default 0. Current-version objects are returned as-is.
+ * @param {object} sticker
+ * @returns {object}
+ */
+export function upgradeSticker(sticker) {
+  if (!isObject(sticker) || sticker.schema_version != null) return sticker;
+  const atlas = sticker.layout === 'atlas';
+  const frameWidth = sticker.image?.width;
+  const frameHeight = sticker.image?.height;
+  const out = {
+    schema_version: STICKER_SCHEMA_VERSION,
+    ...sticker,
+    layout: atlas ? 'atlas' : 'grid',
+    frame_width: frameWidth,
+    frame_height: frameHeight,
+  };
+  if (!atlas) {
+    const columns = sticker.frames_per_column;
+    const [f0, f1] = sticker.frames || [];
+    out.columns = columns;
+    out.rows = sticker.frames_per_row ?? Math.ceil(sticker.frame_count / columns);
+    out.padding = columns > 1 && f0 && f1 ? Math.max(0, f1.x - f0.x - frameWidth) : 0;
+  }
+  return out;
+}
+
+/**
+ * Read a sticker.json of any version as the current version.
+ * @param {string} file
+ * @returns {Promise<object>}
+ */
+export async function readStickerJson(file) {
+  return upgradeSticker(JSON.parse(await fs.readFile(file, 'utf-8')));
+}
@@ -0,0 +1,108 @@
+// sync-cache.js — per-pack download cache for incremental re-imports
+import path from 'path';
+import { createHash } from 'node:crypto';
+import { promises as fs } from 'node:fs';
+
+export const SYNC_CACHE_FILE = '.sync-cache.json';
+
+export const sha256 = (buf) => createHash('sha256').update(buf).digest('hex');
+
+const fileExists = (file) => fs.access(file).then(() => true, () => false);
+
+/**
+ * Load (or start) line-packs-v2/<packId>/.sync-cache.json:
+ *   { version: 1, entries: { <file>: { url, etag, last_modified, sha256, derived: { <kind>: <sha256>[:<fingerprint>] } } } }
+ * Keys are file paths relative to the pack dir (one URL may be saved to several files),
+ * so the cache survives moving the repo. Methods take absolute paths.
+ * @param {string} absPackDir
+ * @param {{force?: boolean}} [opts]  force: ignore cached validators (always re-download / re-derive)
+ */
+export async function openSyncCache(absPackDir, { force = false } = {}) {
+  const cachePath = path.join(absPackDir, SYNC_CACHE_FILE);
+  let entries = {};
+  try {
+    entries = JSON.parse(await fs.readFile(cachePath, 'utf-8')).entries || {};
+  } catch {
+    // first import of this pack
+  }
+  let dirty = false;
+
+  const keyOf = (absFile) => path.relative(absPackDir, absFile).replaceAll('\\', '/');
+  const get = (absFile) => entries[keyOf(absFile)] || null;
+
+  return {
+    force,
+
+    /** Conditional request headers for re-downloading `url` into absFile, if that file is still on disk */
+    async conditionalHeaders(url, absFile) {
+      const entry = get(absFile);
+      if (force || !entry || entry.url !== url || !(await fileExists(absFile))) return {};
+      const headers = {};
+      if (entry.etag) headers['if-none-match'] = entry.etag;
+      if (entry.last_modified) headers['if-modified-since'] = entry.last_modified;
+      return headers;
+    },
+
+    /** sha256 recorded for the bytes currently on disk (null if unknown) */
+    hashOf(absFile) {
+      return get(absFile)?.sha256 || null;
+    },
+
+    /** Record validators + hash after a download; derived records survive only if the hash is unchanged */
+    record(absFile, { url, etag, lastModified, hash }) {
+      const prev = get(absFile);
+      entries[keyOf(absFile)] = {
+        url,
+        etag: etag || null,
+        last_modified: lastModified || null,
+        sha256: hash,
+        derived: prev?.sha256 === hash ? prev.derived || {} : {},
+      };
+      dirty = true;
+    },
+
+    /**
+     * Record a file found on disk without downloading it (offline rebuild).
+     * Returns true when it differs from the bytes recorded last time (derived records are dropped).
+     */
+    track(absFile, hash) {
+      const prev = get(absFile);
+      if (prev?.sha256 === hash) return false;
+      entries[keyOf(absFile)] = { url: prev?.url ?? null, etag: null, last_modified: null, sha256: hash, derived: {} };
+      dirty = true;
+      return !!prev;
+    },
+
+    /**
+     * True when `kind` was derived from the current source bytes (with the same fingerprint,
+     * e.g. encoder options) and every output file still exists.
+     */
+    async isDerivedFresh(absFile, kind, outFiles = [], fingerprint = '') {
+      const entry = get(absFile);
+      if (force || !entry?.sha256) return false;
+      if (entry.derived?.[kind] !== (fingerprint ? `${entry.sha256}:${fingerprint}` : entry.sha256)) return false;
+      for (const f of [].concat(outFiles)) if (!(await fileExists(f))) return false;
+      return true;
+    },
+
+    /** True when some version of `kind` was recorded for absFile (whatever the source hash / fingerprint) */
+    hasDerived(absFile, kind) {
+      return !!get(absFile)?.derived?.[kind];
+    },
+
+    markDerived(absFile, kind, fingerprint = '') {
+      const entry = get(absFile);
+      if (!entry?.sha256) return;
+      entry.derived = { ...entry.derived, [kind]: fingerprint ? `${entry.sha256}:${fingerprint}` : entry.sha256 };
+      dirty = true;
+    },
+
+    async save() {
+      if (!dirty) return;
+      const sorted = Object.fromEntries(Object.keys(entries).sort().map(k => [k, entries[k]]));
+      await fs.mkdir(absPackDir, { recursive: true });
+      await fs.writeFile(cachePath, JSON.stringify({ version: 1, entries: sorted }, null, 2), 'utf-8');
+      dirty = false;
+    },
+  };
+}
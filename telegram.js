@@ -0,0 +1,245 @@
+// telegram.js — Telegram sticker sets: files within Telegram's sticker limits + the metadata a bot needs to create the set
+import path from 'path';
+import { promises as fs } from 'node:fs';
+import { frameDelays, readApng } from './apng-model.js';
+import { encodeWebp } from './apng2webp.js';
+import { encodeVideo } from './apng2video.js';
+import { encodePng, fitLongestSide, resizeModel } from './responsive.js';
+import { PACKS_DIR, PACK_MANIFEST, scanStickerVariants } from './manifest.js';
+
+const sanitize = (s) => String(s || '').replace(/[^a-zA-Z0-9._-]/g, '_');
+
+/** https://core.telegram.org/stickers — regular sticker sets */
+export const TELEGRAM_LIMITS = {
+  side: 512,                 // one side exactly 512 px, the other at most 512
+  staticMaxBytes: 512 * 1024,
+  videoMaxBytes: 256 * 1024,
+  videoMaxDurationMs: 3000,
+  videoMaxFps: 30,
+  titleMaxLength: 64,
+  emojiPerSticker: 20,
+  setMaxStickers: 120,
+};
+export const TELEGRAM_STATIC_FORMATS = ['webp', 'png'];
+export const DEFAULT_TELEGRAM_EMOJI = '🙂';
+export const TELEGRAM_SET_FILE = 'set.json';
+
+// VP9 crf tried in order until the WebM fits (higher = smaller), then the frame rate goes down at the last one
+const CRF_STEPS = [32, 38, 44, 50, 56, 63];
+const FPS_STEPS = [30, 24, 20, 15, 12];
+
+/**
+ * @typedef {Object} TelegramFile
+ * @property {string} out
+ * @property {'static'|'video'} format   Bot API InputSticker.format
+ * @property {number} width
+ * @property {number} height
+ * @property {number} size               bytes
+ * @property {number} [duration]         video: ms
+ * @property {number} [fps]              video
+ * @property {number} [crf]              video
+ * @property {number} [speed]            video: > 1 when the animation was sped up to fit the duration limit
+ * @property {{code:string, message:string}[]} problems  limits still broken after every fallback ([] = ok)
+ */
+
+/**
+ * Resample a decoded APNG to a constant frame rate: one frame per 1000/fps ms, showing the source frame
+ * visible at that time (fast frames are dropped, slow ones repeated). One play only: Telegram loops
+ * video stickers forever, so APNG num_plays has nothing to map to. A play longer than maxDurationMs
+ * is sped up to fit instead of cut.
+ * @returns {{model: import('./apng-model.js').ApngModel, speed: number, duration: number}}
+ */
+export function resampleModel(model, fps, maxDurationMs = TELEGRAM_LIMITS.videoMaxDurationMs) {
+  const delays = frameDelays(model);
+  const total = delays.reduce((a, b) => a + b, 0);
+  const speed = total > maxDurationMs ? total / maxDurationMs : 1;
+  const step = 1000 / fps;
+  const count = Math.max(1, Math.min(Math.round(total / speed / step), Math.floor((maxDurationMs * fps) / 1000)));
+
+  const frames = [];
+  let i = 0, end = delays[0];
+  for (let k = 0; k < count; k++) {
+    const t = k * step * speed; // source time
+    while (t >= end && i < delays.length - 1) end += delays[++i];
+    frames.push({ ...model.frames[i], delay: step });
+  }
+  return { model: { ...model, numPlays: 0, animated: frames.length > 1, frames }, speed, duration: Math.round(count * step) };
+}
+
+/**
+ * Animated model (already 512 px) -> VP9 WebM within the video limits: crf goes up, then fps goes
+ * down until the file fits. The last try is kept (and reported) when nothing fits.
+ * @param {import('./apng-model.js').ApngModel} model
+ * @param {string} outPath
+ * @param {{fps?:number, maxBytes?:number, maxDurationMs?:number}} [opts]
+ * @returns {Promise<{size:number, duration:number, fps:number, crf:number, speed:number}>}
+ */
+export async function encodeTelegramVideo(model, outPath, {
+  fps = TELEGRAM_LIMITS.videoMaxFps,
+  maxBytes = TELEGRAM_LIMITS.videoMaxBytes,
+  maxDurationMs = TELEGRAM_LIMITS.videoMaxDurationMs,
+} = {}) {
+  const top = Math.min(fps, TELEGRAM_LIMITS.videoMaxFps);
+  const tries = [
+    ...CRF_STEPS.map(crf => ({ fps: top, crf })),
+    ...FPS_STEPS.filter(f => f < top).map(f => ({ fps: f, crf: CRF_STEPS.at(-1) })),
+  ];
+  let res;
+  for (const t of tries) {
+    const { model: resampled, speed, duration } = resampleModel(model, t.fps, maxDurationMs);
+    const { size } = await encodeVideo(resampled, outPath, { format: 'webm', fps: t.fps, crf: t.crf, plays: 1 });
+    res = { size, duration, fps: t.fps, crf: t.crf, speed: Math.round(speed * 100) / 100 };
+    if (size <= maxBytes) break;
+  }
+  return res;
+}
+
+/**
+ * One PNG / APNG -> <outBase>.webm (animated) or <outBase>.webp|.png (static), 512 px on the longest side.
+ * @param {string} srcPath
+ * @param {string} outBase   output path without extension
+ * @param {{staticFormat?: 'webp'|'png', fps?: number}} [opts]
+ * @returns {Promise<TelegramFile>}
+ */
+export async function convertTelegramSticker(srcPath, outBase, { staticFormat = 'webp', fps } = {}) {
+  if (!TELEGRAM_STATIC_FORMATS.includes(staticFormat)) {
+    throw new Error(`Unknown static format "${staticFormat}" (expected ${TELEGRAM_STATIC_FORMATS.join(', ')})`);
+  }
+  const model = await readApng(srcPath);
+  const [width, height] = fitLongestSide(model.width, model.height, TELEGRAM_LIMITS.side);
+  const sized = await resizeModel(model, width, height);
+  await fs.mkdir(path.dirname(outBase), { recursive: true });
+  const problems = [];
+
+  if (model.animated) {
+    const out = `${outBase}.webm`;
+    const res = await encodeTelegramVideo(sized, out, { fps });
+    if (res.size > TELEGRAM_LIMITS.videoMaxBytes) {
+      problems.push({ code: 'over_bytes', message: `${Math.round(res.size / 1024)} KB > 256 KB at crf ${res.crf}, ${res.fps} fps` });
+    }
+    return { out, format: 'video', width, height, ...res, problems };
+  }
+
+  const out = `${outBase}.${staticFormat}`;
+  let size;
+  if (staticFormat === 'webp') {
+    ({ size } = await encodeWebp(sized, out, { maxBytes: TELEGRAM_LIMITS.staticMaxBytes }));
+  } else {
+    const png = await encodePng(sized);
+    await fs.writeFile(out, png);
+    size = png.length;
+  }
+  if (size > TELEGRAM_LIMITS.staticMaxBytes) {
+    problems.push({ code: 'over_bytes', message: `${Math.round(size / 1024)} KB > 512 KB` });
+  }
+  return { out, format: 'static', width, height, size, problems };
+}
+
+/** '😀' | ['😀', '😂'] | '😀😂' -> ['😀', '😂'] (one entry per emoji, at most 20) */
+export function emojiList(value) {
+  const list = [].concat(value ?? []).flatMap(v => [...new Intl.Segmenter('en', { granularity: 'grapheme' }).segment(String(v))]
+    .map(s => s.segment.trim())
+    .filter(Boolean));
+  return [...new Set(list)].slice(0, TELEGRAM_LIMITS.emojiPerSticker);
+}
+
+/**
+ * Set short name: letters, digits and single underscores, starts with a letter, ends with _by_<bot username>
+ * (Telegram's rule). LINE titles are often not Latin, so the pack id is used: line_<packId>_by_<bot>.
+ */
+export function telegramSetName(packId, bot) {
+  const base = `line_${String(packId).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '')}`;
+  const name = `${base}_by_${bot.replace(/^@/, '')}`;
+  if (name.length > 64) throw new Error(`Telegram set name over 64 characters: ${name}`);
+  return name;
+}
+
+/**
+ * Convert line-packs-v2/<packId> into a Telegram sticker set folder (no network):
+ *   <out>/<id>.webm | <id>.webp | <id>.png   one file per sticker (APNG -> video sticker, PNG -> static)
+ *   <out>/set.json                          createNewStickerSet / addStickerToSet parameters: name, title,
+ *                                           sticker_type and stickers[] as InputSticker ({sticker, format,
+ *                                           emoji_list}); `sticker` is the file name next to set.json
+ * Stickers still over the limits after every fallback, and those past the 120-sticker set limit, are
+ * left out of stickers[] and listed in left_out.
+ *
+ * @param {string} packId
+ * @param {object} [opts]
+ * @param {string} [opts.out='telegram/<packId>']
+ * @param {string} [opts.title]          default: pack.json name, cut to 64 characters
+ * @param {string} [opts.bot]            bot username: set.json gets the full `name` (line_<packId>_by_<bot>)
+ * @param {Record<string, string|string[]>} [opts.emojis]  sticker id -> emoji(s)
+ * @param {string} [opts.defaultEmoji='🙂']  for stickers not in `emojis`
+ * @param {'webp'|'png'} [opts.staticFormat='webp']
+ * @param {number} [opts.fps=30]         video frame rate before the size fallbacks (max 30)
+ * @param {string} [opts.cwd]
+ */
+export async function buildTelegramSet(packId, {
+  out,
+  title,
+  bot,
+  emojis = {},
+  defaultEmoji = DEFAULT_TELEGRAM_EMOJI,
+  staticFormat = 'webp',
+  fps,
+  cwd = process.cwd(),
+} = {}) {
+  const id = sanitize(packId);
+  const absPackDir = path.join(cwd, PACKS_DIR, id);
+  const outDir = path.resolve(cwd, out || path.join('telegram', id));
+  const pack = JSON.parse(await fs.readFile(path.join(absPackDir, PACK_MANIFEST), 'utf-8').catch(() => '{}'));
+  const onDisk = (await fs.readdir(absPackDir, { withFileTypes: true }).catch(() => []))
+    .filter(e => e.isDirectory()).map(e => e.name).sort();
+  if (!onDisk.length) throw new Error(`Pack not found or empty: ${PACKS_DIR}/${id}`);
+  const ids = pack.stickers?.length ? pack.stickers.map(s => s.id).filter(s => onDisk.includes(s)) : onDisk;
+
+  if (!emojiList(defaultEmoji).length) throw new Error('telegram: default emoji is empty');
+  await fs.mkdir(outDir, { recursive: true });
+
+  const stickers = [], leftOut = [];
+  for (const stickerId of ids) {
+    const { popup, ...variants } = await scanStickerVariants(path.join(absPackDir, stickerId), { cwd });
+    const src = variants.apng || variants.static;
+    if (!src) continue;
+    if (stickers.length >= TELEGRAM_LIMITS.setMaxStickers) {
+      leftOut.push({ id: stickerId, problems: [{ code: 'set_full', message: `a set holds at most ${TELEGRAM_LIMITS.setMaxStickers} stickers` }] });
+      continue;
+    }
+
+    let file;
+    try {
+      file = await convertTelegramSticker(src.abs, path.join(outDir, stickerId), { staticFormat, fps });
+    } catch (e) {
+      leftOut.push({ id: stickerId, problems: [{ code: 'encode_failed', message: e?.message || String(e) }] });
+      continue;
+    }
+    if (file.problems.length) {
+      await fs.rm(file.out, { force: true });
+      leftOut.push({ id: stickerId, problems: file.problems });
+      continue;
+    }
+
+    const { out: outFile, problems, ...meta } = file;
+    const own = emojiList(emojis[stickerId]);
+    stickers.push({
+      sticker: path.basename(outFile),
+      format: meta.format,
+      emoji_list: own.length ? own : emojiList(defaultEmoji),
+      source_id: stickerId,
+      ...meta,
+    });
+  }
+
+  const set = {
+    ...(bot ? { name: telegramSetName(packId, bot) } : {}),
+    title: [...(title || pack.name || `LINE ${packId}`)].slice(0, TELEGRAM_LIMITS.titleMaxLength).join(''),
+    sticker_type: 'regular',
+    source: { pack_id: String(packId), store_url: pack.store_url ?? null },
+    sticker_count: stickers.length,
+    stickers,
+    left_out: leftOut,
+  };
+  const setPath = path.join(outDir, TELEGRAM_SET_FILE);
+  await fs.writeFile(setPath, JSON.stringify(set, null, 2), 'utf-8');
+  return { set, setPath, outDir };
+}
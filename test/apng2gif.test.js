@@ -0,0 +1,111 @@
+// apng2gif.js encodeGif — timing, palette, transparency and frame diffs, decoded back from the GIF
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { GifCodec, GifFrame } from 'gifwrap';
+import { readApng } from '../apng-model.js';
+import { encodeGif, gifLoopsFor } from '../apng2gif.js';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const PACK = path.join(ROOT, 'line-packs-v2', '63ca068085d52f7ff12596d5');
+const apngOf = (id) => readApng(path.join(PACK, id, `${id}_animation`, `${id}_animation.png`));
+
+/** Composite decoded GIF frames (offsets + disposal) into full RGBA canvases, as a viewer draws them */
+function composite(gif) {
+  const { width, height } = gif;
+  let canvas = new Uint32Array(width * height);
+  return gif.frames.map((f) => {
+    const src = new Uint32Array(f.bitmap.data.buffer, f.bitmap.data.byteOffset, f.bitmap.width * f.bitmap.height);
+    const rows = [];
+    for (let r = 0; r < f.bitmap.height; r++) {
+      const start = (f.yOffset + r) * width + f.xOffset;
+      rows.push(start);
+      for (let c = 0; c < f.bitmap.width; c++) {
+        const v = src[r * f.bitmap.width + c];
+        if (v >>> 24) canvas[start + c] = v;
+      }
+    }
+    const shown = canvas.slice();
+    if (f.disposalMethod === GifFrame.DisposeToBackgroundColor) {
+      for (const start of rows) canvas.fill(0, start, start + f.bitmap.width);
+    }
+    return shown;
+  });
+}
+
+/** Source frame as the GIF should show it: alpha < 128 transparent (0), else opaque with its RGB */
+function expected(rgba) {
+  const out = new Uint32Array(rgba.length / 4);
+  for (let i = 0; i < out.length; i++) {
+    if (rgba[i * 4 + 3] < 128) continue;
+    out[i] = (rgba[i * 4] | rgba[i * 4 + 1] << 8 | rgba[i * 4 + 2] << 16 | 0xff000000) >>> 0;
+  }
+  return out;
+}
+
+function opaqueColors(frames) {
+  const colors = new Set();
+  for (const f of frames) for (const v of f) if (v >>> 24) colors.add(v & 0xffffff);
+  return colors;
+}
+
+test('encodeGif keeps the frame count, delays (cs) and plays of the APNG', async () => {
+  for (const id of ['001', '006']) {
+    const model = await apngOf(id);
+    const gif = await new GifCodec().decodeGif(await encodeGif(model));
+    assert.equal(gif.frames.length, model.frames.length);
+    assert.deepEqual(gif.frames.map(f => f.delayCentisecs), model.frames.map(f => f.delay / 10));
+    assert.equal(gif.loops, gifLoopsFor(model.numPlays));
+    assert.deepEqual([gif.width, gif.height], [model.width, model.height]);
+  }
+});
+
+test('frame diffs decode back to the source frames (exact palette, no dither)', async () => {
+  const model = await apngOf('001'); // under 255 colours
+  const gif = await new GifCodec().decodeGif(await encodeGif(model, { dither: 'none' }));
+  assert.ok(gif.frames.slice(1).some(f => f.bitmap.width * f.bitmap.height < model.width * model.height), 'later frames carry only a rect');
+  composite(gif).forEach((shown, i) => {
+    assert.deepEqual(shown, expected(model.frames[i].rgba), `frame ${i}`);
+  });
+});
+
+test('pixels cleared by the next frame are disposed to background, so loops restart clean', async () => {
+  // 2×1: frame 0 draws both pixels, frame 1 erases the right one
+  const red = [255, 0, 0, 255], blue = [0, 0, 255, 255], none = [0, 0, 0, 0];
+  const model = {
+    width: 2, height: 1, numPlays: 0, animated: true,
+    frames: [[...red, ...blue], [...red, ...none]].map(px => ({ rgba: new Uint8Array(px), delay: 100, dispose: 0, blend: 0 })),
+  };
+  const gif = await new GifCodec().decodeGif(await encodeGif(model, { dither: 'none' }));
+  assert.equal(gif.frames[0].disposalMethod, GifFrame.DisposeToBackgroundColor);
+  assert.equal(gif.loops, 0);
+  const shown = composite({ ...gif, frames: [...gif.frames, ...gif.frames] }); // two plays
+  model.frames.forEach((f, i) => {
+    assert.deepEqual(shown[i], expected(f.rgba), `frame ${i}`);
+    assert.deepEqual(shown[i + 2], expected(f.rgba), `frame ${i}, second play`);
+  });
+});
+
+test('the palette holds at most colorCount - 1 colours plus the transparent index', async () => {
+  const model = await apngOf('005'); // over 400 colours: quantized
+  for (const colorCount of [256, 16]) {
+    const frames = composite(await new GifCodec().decodeGif(await encodeGif(model, { colorCount })));
+    const colors = opaqueColors(frames).size;
+    assert.ok(colors > 1 && colors <= colorCount - 1, `${colors} colours for colorCount ${colorCount}`);
+  }
+});
+
+// a GIF pixel only decodes transparent when it holds the frame's transparent index
+test('transparent source pixels map to the transparent index, the rest stays opaque', async () => {
+  const model = await apngOf('006'); // soft edges: alpha between 0 and 255
+  for (const alphaThreshold of [128, 1]) {
+    const frames = composite(await new GifCodec().decodeGif(await encodeGif(model, { alphaThreshold })));
+    frames.forEach((shown, i) => {
+      const rgba = model.frames[i].rgba;
+      for (let p = 0; p < shown.length; p++) {
+        assert.equal(shown[p] >>> 24, rgba[p * 4 + 3] < alphaThreshold ? 0 : 255, `frame ${i}, pixel ${p}`);
+      }
+    });
+  }
+});
@@ -0,0 +1,166 @@
+// publish.js — local and S3 targets: JSON must be written for the target before anything goes out.
+// MinIO: MINIO_ENDPOINT=http://localhost:9000 [MINIO_ACCESS_KEY / MINIO_SECRET_KEY (minioadmin), MINIO_BUCKET] npm test
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import path from 'node:path';
+import os from 'node:os';
+import { createHash } from 'node:crypto';
+import { promises as fs } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { createPublisher, publishPack } from '../publish.js';
+import { rebuildPack } from '../rebuild.js';
+import { signRequest } from '../s3.js';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const SOURCE = path.join(ROOT, 'line-packs-v2', '63ca068085d52f7ff12596d5');
+const PACK = 'p1';
+const STICKER_JSON = `line-packs-v2/${PACK}/001/001_animation/sticker.json`;
+
+/** Temp repo root: two stickers of a real pack, their sticker.json still pointing at github-raw */
+async function tempRepo() {
+  const cwd = await fs.mkdtemp(path.join(os.tmpdir(), 'blog-assets-test-'));
+  for (const id of ['001', '002']) await fs.cp(path.join(SOURCE, id), path.join(cwd, 'line-packs-v2', PACK, id), { recursive: true });
+  await fs.copyFile(path.join(ROOT, 'sticker.schema.json'), path.join(cwd, 'sticker.schema.json'));
+  return cwd;
+}
+
+/** sticker.json / pack.json / catalog rewritten for the publisher, as `rebuild --only sprite --target` does */
+async function retarget(cwd, publisher) {
+  const res = await rebuildPack(PACK, { only: ['sprite'], basePublicUrl: publisher.baseUrl, cwd });
+  assert.deepEqual(res.failed, []);
+}
+
+/** In-process S3: checks the signature of every request, keeps objects in memory */
+async function fakeS3({ accessKeyId, secretAccessKey, region = 'us-east-1' }) {
+  const objects = new Map();
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', c => chunks.push(c));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      const headers = {};
+      for (const k of ['content-type', 'cache-control']) if (req.headers[k]) headers[k] = req.headers[k];
+      const date = new Date(req.headers['x-amz-date'].replace(/^(\d{4})(\d\d)(\d\d)T(\d\d)(\d\d)(\d\d)Z$/, '$1-$2-$3T$4:$5:$6Z'));
+      const expected = signRequest({
+        method: req.method, url: `http://${req.headers.host}${req.url}`, headers,
+        body: req.method === 'PUT' ? body : undefined, region, accessKeyId, secretAccessKey, date,
+      });
+      if (expected.authorization !== req.headers.authorization) return res.writeHead(403).end('SignatureDoesNotMatch');
+
+      if (req.method === 'PUT') {
+        const etag = `"${createHash('md5').update(body).digest('hex')}"`;
+        objects.set(decodeURIComponent(req.url), { body, etag, headers });
+        return res.writeHead(200, { etag }).end();
+      }
+      const o = objects.get(decodeURIComponent(req.url));
+      if (!o) return res.writeHead(404).end();
+      res.writeHead(200, { etag: o.etag, 'content-length': o.body.length }).end(req.method === 'HEAD' ? undefined : o.body);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    endpoint: `http://127.0.0.1:${server.address().port}`,
+    objects,
+    close: () => new Promise(resolve => { server.closeAllConnections(); server.close(resolve); }),
+  };
+}
+
+test('publishPack uploads nothing while the JSON points at another target', async () => {
+  const cwd = await tempRepo();
+  try {
+    const publisher = createPublisher({ target: 'local', dir: 'public', cwd });
+    const res = await publishPack(PACK, { publisher, cwd });
+    assert.deepEqual(res.uploaded, []);
+    assert.equal(res.failed.length, 1);
+    assert.equal(res.failed[0].file, `line-packs-v2/${PACK}`);
+    assert.match(res.failed[0].error, /raw\.githubusercontent\.com/);
+    assert.match(res.failed[0].error, /blog-assets rebuild p1 --only sprite` with --target local/);
+    await assert.rejects(fs.access(path.join(cwd, 'public')));
+  } finally {
+    await fs.rm(cwd, { recursive: true, force: true });
+  }
+});
+
+test('local target: copies the retargeted pack, then skips unchanged files', async () => {
+  const cwd = await tempRepo();
+  try {
+    const publisher = createPublisher({ target: 'local', dir: 'public', cwd });
+    await retarget(cwd, publisher);
+    const res = await publishPack(PACK, { publisher, cwd });
+    assert.deepEqual(res.failed, []);
+    assert.ok(res.uploaded.includes(STICKER_JSON));
+    assert.ok(res.uploaded.includes('line-packs-v2/index.json'));
+    assert.ok(res.uploaded.includes('sticker.schema.json'));
+    assert.ok(!res.uploaded.some(f => f.endsWith('.sync-cache.json')));
+
+    const sticker = JSON.parse(await fs.readFile(path.join(cwd, 'public', STICKER_JSON), 'utf-8'));
+    assert.equal(sticker.sprite_image.uri, `/line-packs-v2/${PACK}/001/001_animation/spritesheet.png`);
+
+    const again = await publishPack(PACK, { publisher, cwd });
+    assert.deepEqual(again.uploaded, []);
+    assert.equal(again.unchanged, res.uploaded.length);
+  } finally {
+    await fs.rm(cwd, { recursive: true, force: true });
+  }
+});
+
+test('s3 target: signed PUTs with content types, HEAD ETag skips unchanged files', async () => {
+  const keys = { accessKeyId: 'test', secretAccessKey: 'test-secret' };
+  const s3 = await fakeS3(keys);
+  const cwd = await tempRepo();
+  try {
+    const publisher = createPublisher({ target: 's3', prefix: 'assets', s3: { ...keys, bucket: 'stickers', endpoint: s3.endpoint }, cwd });
+    assert.equal(publisher.baseUrl, `${s3.endpoint}/stickers/assets/`);
+    await retarget(cwd, publisher);
+
+    const res = await publishPack(PACK, { publisher, cwd });
+    assert.deepEqual(res.failed, []);
+    assert.equal(s3.objects.size, res.uploaded.length);
+    const json = s3.objects.get(`/stickers/assets/${STICKER_JSON}`);
+    assert.equal(json.headers['content-type'], 'application/json');
+    assert.equal(json.headers['cache-control'], 'no-cache');
+    assert.equal(JSON.parse(json.body).image.uri, `${publisher.baseUrl}line-packs-v2/${PACK}/001/001/001.png`);
+    assert.equal(s3.objects.get(`/stickers/assets/line-packs-v2/${PACK}/001/001/001.png`).headers['content-type'], 'image/png');
+
+    const again = await publishPack(PACK, { publisher, cwd });
+    assert.deepEqual(again.uploaded, []);
+    assert.equal(again.unchanged, res.uploaded.length);
+  } finally {
+    await s3.close();
+    await fs.rm(cwd, { recursive: true, force: true });
+  }
+});
+
+test('s3 target: MinIO', { skip: !process.env.MINIO_ENDPOINT && 'MINIO_ENDPOINT not set' }, async () => {
+  const s3 = {
+    endpoint: process.env.MINIO_ENDPOINT,
+    bucket: process.env.MINIO_BUCKET || 'blog-assets-test',
+    accessKeyId: process.env.MINIO_ACCESS_KEY || 'minioadmin',
+    secretAccessKey: process.env.MINIO_SECRET_KEY || 'minioadmin',
+  };
+  const signed = (method, url) => fetch(url, { method, headers: signRequest({ method, url, region: 'us-east-1', ...s3 }) });
+  const bucketUrl = `${s3.endpoint.replace(/\/+$/, '')}/${s3.bucket}`;
+  const created = await signed('PUT', bucketUrl);
+  assert.ok(created.ok || created.status === 409, `create bucket: ${created.status}`); // 409: already there
+
+  const cwd = await tempRepo();
+  try {
+    const publisher = createPublisher({ target: 's3', prefix: `test-${Date.now()}`, s3, cwd });
+    await retarget(cwd, publisher);
+    const res = await publishPack(PACK, { publisher, cwd });
+    assert.deepEqual(res.failed, []);
+    assert.ok(res.uploaded.includes(STICKER_JSON));
+
+    const got = await signed('GET', publisher.url(STICKER_JSON));
+    assert.equal(got.status, 200);
+    assert.equal(got.headers.get('content-type'), 'application/json');
+    assert.ok((await got.json()).sprite_image.uri.startsWith(publisher.baseUrl));
+
+    const again = await publishPack(PACK, { publisher, cwd });
+    assert.deepEqual(again.uploaded, []);
+    assert.equal(again.unchanged, res.uploaded.length);
+  } finally {
+    await fs.rm(cwd, { recursive: true, force: true });
+  }
+});
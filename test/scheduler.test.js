@@ -0,0 +1,129 @@
+// helpers.js createScheduler — retries, Retry-After, backoff, timeout, per-host gap, concurrency, abort
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { createScheduler } from '../helpers.js';
+
+// path -> (req, res, n) with n = how many times the path was requested (1-based)
+const routes = new Map();
+const hits = new Map();
+let active = 0, peak = 0;
+let server, base;
+
+before(async () => {
+  server = http.createServer(async (req, res) => {
+    const n = (hits.get(req.url) || 0) + 1;
+    hits.set(req.url, n);
+    active++;
+    peak = Math.max(peak, active);
+    res.on('close', () => { active--; });
+    const route = routes.get(req.url);
+    if (route) await route(req, res, n);
+    else res.writeHead(404).end('not found');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => { server.closeAllConnections(); server.close(resolve); }));
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+const fast = { hostIntervalMs: 0, baseDelayMs: 1, maxDelayMs: 5 };
+
+/** Route that answers `statuses[n - 1]` (the last one from then on) */
+function sequence(path, statuses, headers = {}) {
+  routes.set(path, (req, res, n) => {
+    const status = statuses[Math.min(n, statuses.length) - 1];
+    res.writeHead(status, status === 200 ? {} : headers).end(status === 200 ? 'ok' : `status ${status}`);
+  });
+  return `${base}${path}`;
+}
+
+test('retries 408 / 429 / 5xx and returns the buffered success', async () => {
+  const url = sequence('/flaky', [503, 429, 408, 200]);
+  const res = await createScheduler(fast).fetch(url);
+  assert.equal(res.status, 200);
+  assert.equal(await res.text(), 'ok');
+  assert.equal(hits.get('/flaky'), 4);
+});
+
+test('other errors are returned as-is, without retrying', async () => {
+  const res = await createScheduler(fast).fetch(`${base}/missing`);
+  assert.equal(res.status, 404);
+  assert.equal(await res.text(), 'not found');
+  assert.equal(hits.get('/missing'), 1);
+});
+
+test('after `retries` extra attempts the last response is returned', async () => {
+  const url = sequence('/down', [500]);
+  const res = await createScheduler({ ...fast, retries: 2 }).fetch(url);
+  assert.equal(res.status, 500);
+  assert.equal(hits.get('/down'), 3);
+});
+
+test('Retry-After is followed, capped at maxDelayMs', async () => {
+  const url = sequence('/busy', [429, 200], { 'retry-after': '3600' });
+  const started = Date.now();
+  const res = await createScheduler({ hostIntervalMs: 0, baseDelayMs: 1, maxDelayMs: 150 }).fetch(url);
+  const took = Date.now() - started;
+  assert.equal(res.status, 200);
+  assert.ok(took >= 140 && took < 1000, `waited ${took} ms`);
+});
+
+test('backoff is random(0, base * 2^attempt), "full jitter"', async (t) => {
+  t.mock.method(Math, 'random', () => 0);
+  let started = Date.now();
+  await createScheduler({ hostIntervalMs: 0, baseDelayMs: 200, retries: 2 }).fetch(sequence('/jitter-low', [502, 502, 200]));
+  assert.ok(Date.now() - started < 150, 'random() = 0: no wait');
+
+  Math.random.mock.mockImplementation(() => 0.999);
+  started = Date.now();
+  await createScheduler({ hostIntervalMs: 0, baseDelayMs: 40, retries: 2 }).fetch(sequence('/jitter-high', [502, 502, 200]));
+  const took = Date.now() - started;
+  assert.ok(took >= 110, `random() ≈ 1: about 40 + 80 ms, waited ${took} ms`);
+});
+
+test('the per-attempt timeout covers the body', async () => {
+  routes.set('/stall', (req, res) => {
+    res.writeHead(200, { 'content-length': 10 });
+    res.write('12345'); // half the body, then nothing
+  });
+  await assert.rejects(
+    createScheduler({ ...fast, timeoutMs: 100, retries: 1 }).fetch(`${base}/stall`),
+    /Timeout after 100ms/,
+  );
+  assert.equal(hits.get('/stall'), 2);
+});
+
+test('requests to one host start at least hostIntervalMs apart', async () => {
+  const starts = [];
+  routes.set('/paced', (req, res) => {
+    starts.push(Date.now());
+    res.end('ok');
+  });
+  const s = createScheduler({ hostIntervalMs: 80 });
+  await Promise.all(Array.from({ length: 4 }, () => s.fetch(`${base}/paced`)));
+  const gaps = starts.slice(1).map((t, i) => t - starts[i]);
+  assert.ok(gaps.every(g => g >= 70), `gaps ${gaps.join(', ')} ms`);
+});
+
+test('no more than `concurrency` requests in flight', async () => {
+  routes.set('/slow', async (req, res) => {
+    await sleep(40);
+    res.end('ok');
+  });
+  peak = 0;
+  const s = createScheduler({ ...fast, concurrency: 2 });
+  const results = await Promise.all(Array.from({ length: 6 }, () => s.fetch(`${base}/slow`)));
+  assert.ok(results.every(r => r.status === 200));
+  assert.equal(peak, 2);
+});
+
+test('a caller abort rejects with its reason and is not retried', async () => {
+  routes.set('/hang', () => {}); // never answers
+  const ctrl = new AbortController();
+  const reason = new Error('stop');
+  setTimeout(() => ctrl.abort(reason), 50);
+  await assert.rejects(createScheduler(fast).fetch(`${base}/hang`, { signal: ctrl.signal }), reason);
+  assert.equal(hits.get('/hang'), 1);
+});
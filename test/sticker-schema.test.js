@@ -0,0 +1,65 @@
+// sticker-schema.js — upgrading version 1 sticker.json, validation against sticker.schema.json
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { promises as fs } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import {
+  STICKER_SCHEMA_VERSION,
+  assertSticker,
+  readStickerJson,
+  upgradeSticker,
+  validateSticker,
+} from '../sticker-schema.js';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const V1_FILE = path.join(ROOT, 'line-packs-v2', '63ca068085d52f7ff12596d5', '001', '001_animation', 'sticker.json');
+const readV1 = async () => JSON.parse(await fs.readFile(V1_FILE, 'utf-8'));
+
+test('a committed version 1 sticker.json does not validate as it is', async () => {
+  const v1 = await readV1();
+  assert.equal(v1.schema_version, undefined);
+  assert.ok(validateSticker(v1).includes('$: missing "schema_version"'));
+  assert.throws(() => assertSticker(v1, 'v1.json'), /^Error: v1\.json does not match sticker\.schema\.json v2: /);
+});
+
+test('upgradeSticker: v1 grid -> current version, which validates', async () => {
+  const v1 = await readV1();
+  const sticker = upgradeSticker(v1);
+  assert.equal(sticker.schema_version, STICKER_SCHEMA_VERSION);
+  assert.equal(sticker.layout, 'grid');
+  assert.deepEqual([sticker.frame_width, sticker.frame_height], [v1.image.width, v1.image.height]);
+  assert.deepEqual([sticker.columns, sticker.rows, sticker.padding], [v1.frames_per_column, v1.frames_per_row, 0]);
+  assert.equal(sticker.sprite_image.uri, v1.sprite_image.uri);
+  assert.deepEqual(validateSticker(sticker), []);
+  assert.equal(assertSticker(sticker), sticker);
+  assert.equal(v1.schema_version, undefined, 'the input is not modified');
+
+  assert.deepEqual(await readStickerJson(V1_FILE), sticker);
+});
+
+test('upgradeSticker takes padding from frames[] and counts rows when v1 left them out', async () => {
+  const v1 = await readV1();
+  delete v1.frames_per_row;
+  v1.frame_count = 10;
+  v1.frames_per_column = 4;
+  v1.frames = [{ x: 0, y: 0, w: 180, h: 180, duration: 200 }, { x: 184, y: 0, w: 180, h: 180, duration: 200 }];
+  const sticker = upgradeSticker(v1);
+  assert.deepEqual([sticker.columns, sticker.rows, sticker.padding], [4, 3, 4]);
+  assert.deepEqual(validateSticker(sticker), []);
+});
+
+test('upgradeSticker returns current-version objects as they are', async () => {
+  const sticker = upgradeSticker(await readV1());
+  assert.equal(upgradeSticker(sticker), sticker);
+});
+
+test('assertSticker throws on a sticker without image.uri or with 0 columns', async () => {
+  const missingUri = upgradeSticker(await readV1());
+  delete missingUri.image.uri;
+  assert.throws(() => assertSticker(missingUri), /sticker\.json does not match .*\$\.image: missing "uri"/);
+
+  const noColumns = upgradeSticker(await readV1());
+  noColumns.columns = 0;
+  assert.throws(() => assertSticker(noColumns), /\$\.columns: must be >= 1/);
+});
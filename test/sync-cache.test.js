@@ -0,0 +1,135 @@
+// sync-cache.js + helpers.js downloadTo — conditional re-downloads, unchanged files, derived records
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import path from 'node:path';
+import os from 'node:os';
+import { promises as fs } from 'node:fs';
+import { downloadTo } from '../helpers.js';
+import { SYNC_CACHE_FILE, openSyncCache, sha256 } from '../sync-cache.js';
+
+// path -> { body, etag }; requests are logged with the validators they sent
+const files = new Map();
+const requests = [];
+let server, base;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    requests.push({ url: req.url, ifNoneMatch: req.headers['if-none-match'] || null });
+    const f = files.get(req.url);
+    if (!f) return res.writeHead(404).end();
+    if (f.etag && req.headers['if-none-match'] === f.etag) return res.writeHead(304).end();
+    res.writeHead(200, f.etag ? { etag: f.etag } : {}).end(f.body);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => { server.closeAllConnections(); server.close(resolve); }));
+
+async function withPackDir(fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'blog-assets-test-'));
+  try {
+    await fn(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+const OLD = new Date('2020-01-01T00:00:00Z');
+
+test('downloadTo: a 304 reuses the file on disk and its recorded hash', () => withPackDir(async (dir) => {
+  files.set('/a.png', { body: Buffer.from('first'), etag: '"v1"' });
+  const cache = await openSyncCache(dir);
+  const first = await downloadTo(`${base}/a.png`, path.join(dir, '001'), { cache });
+  assert.equal(first.changed, true);
+  assert.equal(first.sha256, sha256(Buffer.from('first')));
+  assert.deepEqual(await cache.conditionalHeaders(`${base}/a.png`, first.absFile), { 'if-none-match': '"v1"' });
+
+  await fs.utimes(first.absFile, OLD, OLD);
+  const again = await downloadTo(`${base}/a.png`, path.join(dir, '001'), { cache });
+  assert.equal(requests.at(-1).ifNoneMatch, '"v1"');
+  assert.equal(again.changed, false);
+  assert.equal(again.sha256, first.sha256);
+  assert.equal((await fs.stat(first.absFile)).mtimeMs, OLD.getTime());
+}));
+
+test('downloadTo: no validators sent for another URL, a missing file or force', () => withPackDir(async (dir) => {
+  files.set('/b.png', { body: Buffer.from('b'), etag: '"b1"' });
+  const cache = await openSyncCache(dir);
+  const { absFile } = await downloadTo(`${base}/b.png`, dir, { cache });
+  assert.deepEqual(await cache.conditionalHeaders(`${base}/other.png`, absFile), {});
+
+  await cache.save();
+  const forced = await openSyncCache(dir, { force: true });
+  assert.deepEqual(await forced.conditionalHeaders(`${base}/b.png`, absFile), {});
+
+  await fs.rm(absFile);
+  assert.deepEqual(await cache.conditionalHeaders(`${base}/b.png`, absFile), {});
+}));
+
+test('downloadTo: a full 200 with the same bytes does not rewrite the file and keeps derived records', () => withPackDir(async (dir) => {
+  files.set('/c.png', { body: Buffer.from('same') }); // no ETag: always a full response
+  const cache = await openSyncCache(dir);
+  const { absFile } = await downloadTo(`${base}/c.png`, dir, { cache });
+  cache.markDerived(absFile, 'webp', 'q80');
+  await fs.writeFile(path.join(dir, 'c.webp'), 'webp');
+  await fs.utimes(absFile, OLD, OLD);
+
+  const again = await downloadTo(`${base}/c.png`, dir, { cache });
+  assert.equal(requests.at(-1).ifNoneMatch, null);
+  assert.equal(again.changed, false);
+  assert.equal((await fs.stat(absFile)).mtimeMs, OLD.getTime());
+  assert.equal(await cache.isDerivedFresh(absFile, 'webp', path.join(dir, 'c.webp'), 'q80'), true);
+}));
+
+test('isDerivedFresh: stale after a new fingerprint, new source bytes or a missing output', () => withPackDir(async (dir) => {
+  files.set('/d.png', { body: Buffer.from('v1'), etag: '"d1"' });
+  const cache = await openSyncCache(dir);
+  const { absFile } = await downloadTo(`${base}/d.png`, dir, { cache });
+  const out = path.join(dir, 'd.gif');
+  await fs.writeFile(out, 'gif');
+
+  assert.equal(await cache.isDerivedFresh(absFile, 'gif', out, 'colors=256'), false);
+  cache.markDerived(absFile, 'gif', 'colors=256');
+  assert.equal(cache.hasDerived(absFile, 'gif'), true);
+  assert.equal(await cache.isDerivedFresh(absFile, 'gif', out, 'colors=256'), true);
+  assert.equal(await cache.isDerivedFresh(absFile, 'gif', out, 'colors=128'), false);
+
+  files.set('/d.png', { body: Buffer.from('v2'), etag: '"d2"' });
+  const changed = await downloadTo(`${base}/d.png`, dir, { cache });
+  assert.equal(changed.changed, true);
+  assert.equal(await fs.readFile(absFile, 'utf-8'), 'v2');
+  assert.equal(cache.hasDerived(absFile, 'gif'), false);
+  assert.equal(await cache.isDerivedFresh(absFile, 'gif', out, 'colors=256'), false);
+
+  cache.markDerived(absFile, 'gif', 'colors=256');
+  await fs.rm(out);
+  assert.equal(await cache.isDerivedFresh(absFile, 'gif', out, 'colors=256'), false);
+}));
+
+test('save writes sorted relative keys once, and a reopened cache sees the same records', () => withPackDir(async (dir) => {
+  files.set('/e.png', { body: Buffer.from('e'), etag: '"e1"' });
+  const cache = await openSyncCache(dir);
+  const { absFile } = await downloadTo(`${base}/e.png`, path.join(dir, '002'), { cache });
+  cache.track(path.join(dir, '001', 'local.png'), sha256(Buffer.from('local')));
+  cache.markDerived(absFile, 'sizes', '[96,180]');
+  await fs.writeFile(path.join(dir, 'out.png'), '');
+  await cache.save();
+
+  const cachePath = path.join(dir, SYNC_CACHE_FILE);
+  const saved = JSON.parse(await fs.readFile(cachePath, 'utf-8'));
+  assert.equal(saved.version, 1);
+  assert.deepEqual(Object.keys(saved.entries), ['001/local.png', '002/e.png']);
+  assert.equal(saved.entries['002/e.png'].etag, '"e1"');
+
+  await fs.utimes(cachePath, OLD, OLD);
+  await cache.save(); // nothing changed since: not rewritten
+  assert.equal((await fs.stat(cachePath)).mtimeMs, OLD.getTime());
+
+  const reopened = await openSyncCache(dir);
+  assert.equal(reopened.hashOf(absFile), sha256(Buffer.from('e')));
+  assert.equal(await reopened.isDerivedFresh(absFile, 'sizes', path.join(dir, 'out.png'), '[96,180]'), true);
+  assert.equal(reopened.track(path.join(dir, '001', 'local.png'), sha256(Buffer.from('local'))), false);
+  assert.equal(reopened.track(path.join(dir, '001', 'local.png'), sha256(Buffer.from('edited'))), true);
+}));
@@ -0,0 +1,137 @@
+// telegram.js — resampling, set names, emoji lists and the set folder (video stickers need ffmpeg)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import path from 'node:path';
+import os from 'node:os';
+import { promises as fs } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import sharp from 'sharp';
+import {
+  TELEGRAM_LIMITS,
+  TELEGRAM_SET_FILE,
+  buildTelegramSet,
+  convertTelegramSticker,
+  emojiList,
+  resampleModel,
+  telegramSetName,
+} from '../telegram.js';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const PACK = path.join(ROOT, 'line-packs-v2', '63ca068085d52f7ff12596d5');
+const NO_FFMPEG = spawnSync('ffmpeg', ['-version']).error ? 'ffmpeg not installed' : false;
+
+/** Frames tagged with their index, so resampled frames can be traced back to the source */
+const fakeModel = (delays) => ({
+  width: 1,
+  height: 1,
+  numPlays: 3,
+  animated: delays.length > 1,
+  frames: delays.map((delay, tag) => ({ rgba: new Uint8Array(4), delay, dispose: 0, blend: 0, tag })),
+});
+
+/** Temp repo root with line-packs-v2/<packId>/<stickerId>/... copied from the real pack */
+async function tempPack(packId, copies) {
+  const cwd = await fs.mkdtemp(path.join(os.tmpdir(), 'blog-assets-test-'));
+  for (const [from, to] of copies) await fs.cp(path.join(PACK, from), path.join(cwd, 'line-packs-v2', packId, to), { recursive: true });
+  return cwd;
+}
+
+test('resampleModel keeps a short play as it is, one frame per 1000/fps ms', () => {
+  const { model, speed, duration } = resampleModel(fakeModel([100, 100, 200]), 10);
+  assert.equal(speed, 1);
+  assert.equal(duration, 400);
+  assert.deepEqual(model.frames.map(f => f.tag), [0, 1, 2, 2]);
+  assert.ok(model.frames.every(f => f.delay === 100));
+  assert.equal(model.numPlays, 0);
+});
+
+test('resampleModel speeds a play over 3 s up to fit instead of cutting it', () => {
+  const { model, speed, duration } = resampleModel(fakeModel(Array(10).fill(500)), 30);
+  assert.equal(speed, 5000 / 3000);
+  assert.equal(model.frames.length, 90);
+  assert.equal(duration, 3000);
+  assert.equal(model.frames[0].tag, 0);
+  assert.equal(model.frames.at(-1).tag, 9);
+});
+
+test('telegramSetName: line_<packId>_by_<bot>, within 64 characters', () => {
+  assert.equal(telegramSetName('63ca068085d52f7ff12596d5', '@MyBot'), 'line_63ca068085d52f7ff12596d5_by_MyBot');
+  assert.equal(telegramSetName('Pack--42!', 'bot'), 'line_pack_42_by_bot');
+  assert.throws(() => telegramSetName('x'.repeat(60), 'bot'), /over 64 characters/);
+});
+
+test('emojiList splits, dedupes and caps at 20', () => {
+  assert.deepEqual(emojiList('😀😂'), ['😀', '😂']);
+  assert.deepEqual(emojiList(['😀', ' 😀 ', '👍🏽']), ['😀', '👍🏽']);
+  assert.deepEqual(emojiList(undefined), []);
+  assert.equal(emojiList([...'🍎🍏🍐🍊🍋🍌🍉🍇🍓🫐🍈🍒🍑🥭🍍🥥🥝🍅🍆🥑🥦🥬']).length, TELEGRAM_LIMITS.emojiPerSticker);
+});
+
+test('convertTelegramSticker: static PNG -> WebP with the longest side 512, under 512 KB', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'blog-assets-test-'));
+  try {
+    const file = await convertTelegramSticker(path.join(PACK, '001', '001', '001.png'), path.join(dir, '001'));
+    assert.equal(file.out, path.join(dir, '001.webp'));
+    assert.equal(file.format, 'static');
+    assert.deepEqual(file.problems, []);
+    const meta = await sharp(file.out).metadata();
+    assert.equal(meta.format, 'webp');
+    assert.equal(Math.max(meta.width, meta.height), TELEGRAM_LIMITS.side);
+    assert.equal((await fs.stat(file.out)).size, file.size);
+    assert.ok(file.size <= TELEGRAM_LIMITS.staticMaxBytes);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('convertTelegramSticker: APNG -> WebM within 3 s and 256 KB', { skip: NO_FFMPEG }, async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'blog-assets-test-'));
+  try {
+    const file = await convertTelegramSticker(path.join(PACK, '001', '001_animation', '001_animation.png'), path.join(dir, '001'));
+    assert.equal(file.format, 'video');
+    assert.ok(file.out.endsWith('.webm'));
+    assert.ok(file.duration <= TELEGRAM_LIMITS.videoMaxDurationMs);
+    assert.ok(file.fps <= TELEGRAM_LIMITS.videoMaxFps);
+    assert.ok(file.size <= TELEGRAM_LIMITS.videoMaxBytes);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('buildTelegramSet writes set.json and lists stickers it could not convert in left_out', async () => {
+  const cwd = await tempPack('t1', [['001/001', '001/001'], ['002/002', '002/002']]);
+  try {
+    // valid header, no image data: found on disk, fails to decode
+    const broken = path.join(cwd, 'line-packs-v2', 't1', '002', '002', '002.png');
+    await fs.writeFile(broken, (await fs.readFile(broken)).subarray(0, 200));
+
+    const { set, setPath, outDir } = await buildTelegramSet('t1', { cwd, bot: 'test_bot', emojis: { '001': '😀😂' } });
+    assert.equal(setPath, path.join(cwd, 'telegram', 't1', TELEGRAM_SET_FILE));
+    assert.deepEqual(JSON.parse(await fs.readFile(setPath, 'utf-8')), set);
+    assert.equal(set.name, 'line_t1_by_test_bot');
+    assert.equal(set.sticker_type, 'regular');
+    assert.equal(set.sticker_count, 1);
+    assert.deepEqual(set.stickers.map(s => [s.sticker, s.format, s.source_id]), [['001.webp', 'static', '001']]);
+    assert.deepEqual(set.stickers[0].emoji_list, ['😀', '😂']);
+    await fs.access(path.join(outDir, '001.webp'));
+
+    assert.deepEqual(set.left_out.map(s => s.id), ['002']);
+    assert.equal(set.left_out[0].problems[0].code, 'encode_failed');
+  } finally {
+    await fs.rm(cwd, { recursive: true, force: true });
+  }
+});
+
+test('buildTelegramSet makes video stickers of APNGs', { skip: NO_FFMPEG }, async () => {
+  const cwd = await tempPack('t2', [['001', '001']]);
+  try {
+    const { set } = await buildTelegramSet('t2', { cwd });
+    assert.deepEqual(set.left_out, []);
+    assert.deepEqual(set.stickers.map(s => [s.sticker, s.format]), [['001.webm', 'video']]);
+    assert.deepEqual(set.stickers[0].emoji_list, ['🙂']);
+    assert.ok(set.stickers[0].size <= TELEGRAM_LIMITS.videoMaxBytes);
+  } finally {
+    await fs.rm(cwd, { recursive: true, force: true });
+  }
+});
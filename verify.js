@@ -0,0 +1,209 @@
+// verify.js — integrity check of the published asset folders: signatures, decoding, sticker.json vs images, dead URLs
+import path from 'path';
+import { promises as fs } from 'node:fs';
+import sharp from 'sharp';
+import { BASE_PUBLIC_URL, isPngSig } from './helpers.js';
+import { decodeApng } from './apng-model.js';
+import { SIZED_RE, SIZES_DIR } from './responsive.js';
+import { upgradeSticker, validateSticker } from './sticker-schema.js';
+
+/** Folders published through BASE_PUBLIC_URL */
+export const VERIFY_ROOTS = ['line-packs-v2', 'animated', 'nikki', 'novel'];
+
+const IMAGE_EXT_RE = /\.(png|gif|webp|avif|jpe?g)$/i;
+const toPosix = (p) => p.replaceAll('\\', '/');
+
+/**
+ * @typedef {Object} VerifyProblem
+ * @property {string} code     empty_file | bad_signature | decode_failed | invalid_json | sticker_json_invalid |
+ *                             frame_count_mismatch | dimension_mismatch | missing_file
+ * @property {string} file     repo-relative path of the file the problem was found in
+ * @property {string} message
+ */
+
+/**
+ * @typedef {Object} VerifyReport
+ * @property {boolean} ok
+ * @property {string[]} roots
+ * @property {{files:number, images:number, json:number, urls:number}} checked
+ * @property {number} problem_count
+ * @property {Record<string, number>} by_code
+ * @property {VerifyProblem[]} problems
+ */
+
+/** Every file under dir (recursive), sorted; [] when dir does not exist */
+async function walk(dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+  const files = [];
+  for (const e of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    const abs = path.join(dir, e.name);
+    if (e.isDirectory()) files.push(...(await walk(abs)));
+    else if (e.isFile()) files.push(abs);
+  }
+  return files;
+}
+
+/** Full decode: PNG / APNG through apng-model.js (every frame), the rest through sharp (every page) */
+async function decodeImage(buf, ext) {
+  if (ext === '.png') {
+    const model = decodeApng(buf);
+    return { width: model.width, height: model.height, frame_count: model.frames.length };
+  }
+  const img = sharp(buf, { animated: true, limitInputPixels: false });
+  const meta = await img.metadata();
+  await img.raw().toBuffer();
+  return {
+    width: meta.width,
+    height: meta.pageHeight || meta.height,
+    // sharp reads only the first image of an AVIF sequence
+    frame_count: ext === '.avif' ? undefined : meta.pages || 1,
+  };
+}
+
+/** Every string in a JSON value that starts with basePublicUrl, with its JSON pointer */
+function collectUrls(value, basePublicUrl, pointer = '', out = []) {
+  if (typeof value === 'string') {
+    if (value.startsWith(basePublicUrl)) out.push({ pointer, url: value });
+  } else if (value && typeof value === 'object') {
+    for (const [k, v] of Object.entries(value)) collectUrls(v, basePublicUrl, `${pointer}/${k}`, out);
+  }
+  return out;
+}
+
+/**
+ * Walk the asset folders and report everything inconsistent. Reads only the disk.
+ *   - every file: not empty
+ *   - images: PNG signature (isPngSig), full decode of every frame / page
+ *   - *.gif / *.webp / *.avif next to an APNG or PNG, sizes/<base>-<w>w.*: same frame count and size
+ *   - sticker.json: matches sticker.schema.json (v1 files read as v2), frame count / frame size
+ *     match the APNG, sprite size matches the grid, frames[] has one entry per frame
+ *   - every JSON: each URL under basePublicUrl maps to a file in the repo
+ *
+ * @param {object} [opts]
+ * @param {string[]} [opts.roots=VERIFY_ROOTS]  folders to walk, relative to cwd
+ * @param {string} [opts.basePublicUrl]
+ * @param {string} [opts.cwd]
+ * @returns {Promise<VerifyReport>}
+ */
+export async function verifyTree({ roots = VERIFY_ROOTS, basePublicUrl = BASE_PUBLIC_URL, cwd = process.cwd() } = {}) {
+  const problems = [];
+  const checked = { files: 0, images: 0, json: 0, urls: 0 };
+  const rel = (abs) => toPosix(path.relative(cwd, abs));
+  const report = (code, abs, message, extra = {}) => problems.push({ code, file: rel(abs), message, ...extra });
+
+  const images = new Map(); // abs -> {width, height, frame_count}
+  const jsons = new Map();  // abs -> parsed JSON
+
+  // 1) every file on its own
+  for (const root of roots) {
+    for (const abs of await walk(path.join(cwd, root))) {
+      checked.files++;
+      const buf = await fs.readFile(abs);
+      const ext = path.extname(abs).toLowerCase();
+      if (!buf.length) {
+        report('empty_file', abs, '0-byte file');
+        continue;
+      }
+      if (IMAGE_EXT_RE.test(ext)) {
+        checked.images++;
+        if (ext === '.png' && !isPngSig(buf)) {
+          report('bad_signature', abs, 'not a PNG signature');
+          continue;
+        }
+        try {
+          images.set(abs, await decodeImage(buf, ext));
+        } catch (e) {
+          report('decode_failed', abs, e?.message || String(e));
+        }
+      } else if (ext === '.json') {
+        checked.json++;
+        try {
+          jsons.set(abs, JSON.parse(buf.toString('utf-8')));
+        } catch (e) {
+          report('invalid_json', abs, e?.message || String(e));
+        }
+      }
+    }
+  }
+
+  const urlToAbs = (url) => path.join(cwd, decodeURI(url.slice(basePublicUrl.length).split(/[?#]/)[0]));
+  const compare = (abs, actual, expected, what) => {
+    if (expected.frame_count !== undefined && actual.frame_count !== undefined && actual.frame_count !== expected.frame_count) {
+      report('frame_count_mismatch', abs, `${actual.frame_count} frame(s), ${what} has ${expected.frame_count}`,
+        { expected: expected.frame_count, actual: actual.frame_count });
+    }
+    if (actual.width !== expected.width || actual.height !== expected.height) {
+      report('dimension_mismatch', abs, `${actual.width}×${actual.height}, ${what} is ${expected.width}×${expected.height}`,
+        { expected: [expected.width, expected.height], actual: [actual.width, actual.height] });
+    }
+  };
+
+  // 2) converted siblings and downscaled copies vs their source PNG / APNG
+  for (const [abs, info] of images) {
+    const dir = path.dirname(abs);
+    const ext = path.extname(abs);
+    const base = path.basename(abs, ext);
+    const sized = path.basename(dir) === SIZES_DIR && SIZED_RE.exec(path.basename(abs));
+    if (sized) {
+      const source = images.get(path.join(path.dirname(dir), `${sized[1]}${ext}`));
+      if (!source) continue;
+      const width = Number(sized[2]);
+      const height = Math.max(1, Math.round((source.height * width) / source.width));
+      compare(abs, info, { width, height, frame_count: source.frame_count }, `${sized[1]}${ext} at ${width}w`);
+    } else if (ext.toLowerCase() !== '.png') {
+      const source = images.get(path.join(dir, `${base}.png`));
+      if (source) compare(abs, info, source, `${base}.png`);
+    }
+  }
+
+  // 3) sticker.json vs the images it describes
+  for (const [abs, raw] of jsons) {
+    if (path.basename(abs) !== 'sticker.json') continue;
+    const sticker = upgradeSticker(raw);
+    const errors = validateSticker(sticker);
+    if (errors.length) {
+      report('sticker_json_invalid', abs, errors.join('; '), { errors });
+      continue;
+    }
+    const dir = path.dirname(abs);
+    const source = images.get(path.join(dir, `${path.basename(dir)}.png`));
+    if (source) {
+      compare(abs, { width: sticker.frame_width, height: sticker.frame_height, frame_count: sticker.frame_count },
+        source, `${path.basename(dir)}.png`);
+    }
+    if (sticker.frames && sticker.frames.length !== sticker.frame_count) {
+      report('frame_count_mismatch', abs, `frames[] has ${sticker.frames.length} entries, frame_count is ${sticker.frame_count}`,
+        { expected: sticker.frame_count, actual: sticker.frames.length });
+    }
+    const sprite = sticker.sprite_image.uri.startsWith(basePublicUrl) && images.get(urlToAbs(sticker.sprite_image.uri));
+    if (sprite) {
+      const { columns, rows, padding, frame_width: fw, frame_height: fh } = sticker;
+      const expected = sticker.layout === 'grid'
+        ? { width: columns * fw + (columns - 1) * padding, height: rows * fh + (rows - 1) * padding }
+        : { width: sticker.sprite_image.width ?? sprite.width, height: sticker.sprite_image.height ?? sprite.height };
+      compare(urlToAbs(sticker.sprite_image.uri), { width: sprite.width, height: sprite.height }, expected, rel(abs));
+    }
+  }
+
+  // 4) URLs in every JSON -> files
+  const exists = new Map();
+  for (const [abs, json] of jsons) {
+    for (const { pointer, url } of collectUrls(json, basePublicUrl)) {
+      checked.urls++;
+      const target = urlToAbs(url);
+      if (!exists.has(target)) exists.set(target, await fs.access(target).then(() => true, () => false));
+      if (!exists.get(target)) report('missing_file', abs, `${pointer}: ${rel(target)} does not exist`, { pointer, url });
+    }
+  }
+
+  const byCode = {};
+  for (const p of problems) byCode[p.code] = (byCode[p.code] || 0) + 1;
+  return {
+    ok: problems.length === 0,
+    roots,
+    checked,
+    problem_count: problems.length,
+    by_code: byCode,
+    problems,
+  };
+}